@@ -3,21 +3,112 @@ import Database from 'better-sqlite3';
 const DB_PATH = process.env.DB_PATH || './database/app.db';
 const db = new Database(DB_PATH);
 
+// Columns added after the initial schema, per table
+const migrations = {
+  devices: [
+    ['webhook_body_template', 'TEXT'],
+    ['webhook_response_path', 'TEXT'],
+    ['webhook_media_mode', "TEXT DEFAULT 'url'"],
+    ['webhook_media_max_size', 'INTEGER'],
+    ['webhook_events', 'TEXT'],
+    ['webhook_secret', 'TEXT'],
+    ['webhook_method', "TEXT DEFAULT 'POST'"],
+    ['webhook_content_type', "TEXT DEFAULT 'json'"],
+    ['webhook_timeout_ms', 'INTEGER'],
+    ['webhook_auth', 'TEXT'],
+    ['webhook_headers', 'TEXT'],
+    ['queue_interval_ms', 'INTEGER'],
+    ['queue_jitter_ms', 'INTEGER'],
+    ['default_country_code', 'TEXT'],
+    ['business_hours', 'TEXT'],
+    ['reply_guard', 'TEXT'],
+    ['human_mode_timeout_seconds', 'INTEGER'],
+    ['human_mode_on_agent_message', 'INTEGER DEFAULT 1']
+  ],
+  messages: [
+    ['media_mimetype', 'TEXT'],
+    ['media_size', 'INTEGER'],
+    ['media_filename', 'TEXT'],
+    ['ack_status', 'TEXT'],
+    ['ack_updated_at', 'INTEGER'],
+    ['quoted_message_id', 'TEXT'],
+    ['forwarded_from', 'TEXT'],
+    ['reaction', 'TEXT'],
+    ['is_edited', 'INTEGER DEFAULT 0'],
+    ['edited_at', 'INTEGER'],
+    ['is_revoked', 'INTEGER DEFAULT 0'],
+    ['revoked_at', 'INTEGER'],
+    ['source', 'TEXT']
+  ],
+  webhooks: [
+    ['method', "TEXT DEFAULT 'POST'"],
+    ['content_type', "TEXT DEFAULT 'json'"],
+    ['timeout_ms', 'INTEGER'],
+    ['auth', 'TEXT'],
+    ['headers', 'TEXT']
+  ],
+  webhook_retries: [
+    ['webhook_id', 'TEXT']
+  ],
+  webhook_dead_letters: [
+    ['webhook_id', 'TEXT']
+  ]
+};
+
+// Child rows whose parent is gone, e.g. left by a device deleted while foreign keys were off
+const orphans = [
+  ...['messages', 'message_acks', 'media', 'message_queue', 'scheduled_messages', 'campaigns', 'webhooks',
+    'webhook_retries', 'webhook_dead_letters', 'webhook_deliveries', 'auto_reply_rules', 'away_notices', 'flows',
+    'flow_sessions', 'auto_reply_log', 'reply_guard_contacts', 'chat_modes', 'stats'].map(table => [table, 'device_id', 'devices']),
+  ['campaign_recipients', 'campaign_id', 'campaigns'],
+  ['auto_reply_cooldowns', 'rule_id', 'auto_reply_rules'],
+  ['flow_sessions', 'flow_id', 'flows']
+];
+
 console.log('Running database migration...');
 
 try {
   // Add new columns if they don't exist
-  const columns = db.pragma('table_info(devices)');
-  const columnNames = columns.map(col => col.name);
+  for (const [table, columns] of Object.entries(migrations)) {
+    const existing = db.pragma(`table_info(${table})`);
+    if (existing.length === 0) continue; // Table is created by the app on startup
+
+    const columnNames = existing.map(col => col.name);
+
+    for (const [column, definition] of columns) {
+      if (!columnNames.includes(column)) {
+        console.log(`Adding ${table}.${column} column...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
+  // Ack and phone-message webhooks had their own flags; they are now events in webhook_events
+  const legacyEventFlags = [['webhook_ack_enabled', 'message_ack'], ['webhook_outgoing_enabled', 'message_outgoing']];
+  const deviceColumns = db.pragma('table_info(devices)').map(col => col.name);
+  for (const [flag, event] of legacyEventFlags) {
+    if (!deviceColumns.includes(flag)) continue;
 
-  if (!columnNames.includes('webhook_body_template')) {
-    console.log('Adding webhook_body_template column...');
-    db.exec('ALTER TABLE devices ADD COLUMN webhook_body_template TEXT');
+    const devices = db.prepare(`SELECT id, webhook_events FROM devices WHERE ${flag} = 1`).all();
+    for (const device of devices) {
+      const events = new Set(device.webhook_events ? JSON.parse(device.webhook_events) : []);
+      events.add(event);
+      db.prepare('UPDATE devices SET webhook_events = ? WHERE id = ?').run(JSON.stringify([...events]), device.id);
+    }
+    if (devices.length > 0) {
+      console.log(`Subscribed ${devices.length} device(s) with ${flag} to ${event}...`);
+    }
+    console.log(`Dropping devices.${flag} column...`);
+    db.exec(`ALTER TABLE devices DROP COLUMN ${flag}`);
   }
 
-  if (!columnNames.includes('webhook_response_path')) {
-    console.log('Adding webhook_response_path column...');
-    db.exec('ALTER TABLE devices ADD COLUMN webhook_response_path TEXT');
+  // Parents first, so their children are found as orphans in turn
+  for (const [table, column, parent] of orphans) {
+    if (db.pragma(`table_info(${table})`).length === 0) continue;
+    const removed = db.prepare(`DELETE FROM ${table} WHERE ${column} NOT IN (SELECT id FROM ${parent})`).run().changes;
+    if (removed > 0) {
+      console.log(`Removed ${removed} orphaned ${table} row(s)...`);
+    }
   }
 
   console.log('Migration completed successfully!');
@@ -26,4 +117,4 @@ try {
   process.exit(1);
 }
 
-db.close();
\ No newline at end of file
+db.close();
@@ -12,7 +12,9 @@ import { logger } from './utils/logger.js';
 import authRoutes from './routes/auth.js';
 import deviceRoutes from './routes/devices.js';
 import statsRoutes from './routes/stats.js';
+import userRoutes from './routes/users.js';
 import { WhatsAppManager } from './services/whatsapp-manager.js';
+import { seedAdminUser } from './services/users.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,15 +23,16 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Ensure required directories exist
-const dirs = ['./sessions', './database', './logs', './public'];
+const dirs = ['./sessions', './database', './logs', './public', process.env.MEDIA_PATH || './media'];
 dirs.forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 });
 
-// Initialize database
+// Initialize database; the first start creates the admin account from the env
 initDatabase();
+await seedAdminUser();
 
 // Initialize WhatsApp Manager
 export const waManager = new WhatsAppManager();
@@ -39,8 +42,9 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Larger body limit so base64 media payloads fit
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '100mb' }));
 
 // Session middleware - using file system store (no Redis needed)
 app.use(session({
@@ -59,6 +63,7 @@ app.use(session({
 app.use('/api/auth', authRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/users', userRoutes);
 
 // Static files - serve after API routes
 app.use(express.static(path.join(__dirname, '../public')));
@@ -86,13 +91,27 @@ app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Admin panel: http://localhost:${PORT}`);
   
-  // Initialize existing devices
+  // Start outbound queue, scheduler, campaigns, webhook retries and flow/reply guard cleanup, then initialize existing devices
+  waManager.queue.start();
+  waManager.scheduler.start();
+  waManager.campaigns.start();
+  waManager.webhooks.start();
+  waManager.flows.start();
+  waManager.replyGuard.start();
+  waManager.chatModes.start();
   waManager.initializeDevices();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
+  waManager.chatModes.stop();
+  waManager.replyGuard.stop();
+  waManager.flows.stop();
+  waManager.webhooks.stop();
+  waManager.campaigns.stop();
+  waManager.scheduler.stop();
+  waManager.queue.stop();
   await waManager.disconnectAll();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * Wrap a route operation: reports validation errors, sends the returned data in the
+ * usual JSON envelope and maps HttpErrors to their status. `onError` runs before the error response.
+ */
+export const handle = (operation, { status = 200, onError } = {}) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const data = await operation(req);
+    res.status(status).json({ success: true, data });
+  } catch (error) {
+    onError?.(req, error);
+    res.status(error.status || 500).json({ success: false, message: error.message, ...(error.details && { details: error.details }) });
+  }
+};
@@ -0,0 +1,25 @@
+import { can, canAccessDevice } from '../utils/permissions.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Runs after isAuthenticated, which puts the signed-in user on req.user
+export const requirePermission = (permission) => (req, res, next) => {
+  if (can(req.user, permission)) {
+    return next();
+  }
+  res.status(403).json({ success: false, message: `Permission denied: requires ${permission}` });
+};
+
+// Reads are open to every role; anything that changes state needs `permission`
+export const requireForWrites = (permission) => {
+  const check = requirePermission(permission);
+  return (req, res, next) => READ_METHODS.includes(req.method) ? next() : check(req, res, next);
+};
+
+// Users limited to some devices get a 403 for the others
+export const requireDeviceAccess = (req, res, next) => {
+  if (canAccessDevice(req.user, req.params.id)) {
+    return next();
+  }
+  res.status(403).json({ success: false, message: 'No access to this device' });
+};
@@ -0,0 +1,17 @@
+import multer from 'multer';
+import { MAX_MEDIA_SIZE } from '../utils/media.js';
+
+// Multipart uploads are kept in memory and handed to whatsapp-web.js as base64
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_SIZE, files: 1 }
+});
+
+export const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, message: `Upload error: ${err.message}` });
+    }
+    next(err);
+  });
+};
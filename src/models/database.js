@@ -1,6 +1,7 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import { generateWebhookSecret } from '../utils/webhook-signature.js';
 
 const DB_PATH = process.env.DB_PATH || './database/app.db';
 
@@ -12,6 +13,8 @@ if (!fs.existsSync(dbDir)) {
 
 export const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
+// Deleting a device relies on ON DELETE CASCADE to remove its queue, schedules, campaigns, webhooks, flows and the rest
+db.pragma('foreign_keys = ON');
 
 export function initDatabase() {
   // Devices table
@@ -26,6 +29,22 @@ export function initDatabase() {
       webhook_response_enabled INTEGER DEFAULT 0,
       webhook_body_template TEXT,
       webhook_response_path TEXT,
+      webhook_media_mode TEXT DEFAULT 'url',
+      webhook_media_max_size INTEGER,
+      webhook_events TEXT,
+      webhook_secret TEXT,
+      webhook_method TEXT DEFAULT 'POST',
+      webhook_content_type TEXT DEFAULT 'json',
+      webhook_timeout_ms INTEGER,
+      webhook_auth TEXT,
+      webhook_headers TEXT,
+      queue_interval_ms INTEGER,
+      queue_jitter_ms INTEGER,
+      default_country_code TEXT,
+      business_hours TEXT,
+      reply_guard TEXT,
+      human_mode_timeout_seconds INTEGER,
+      human_mode_on_agent_message INTEGER DEFAULT 1,
       qr_code TEXT,
       created_at INTEGER DEFAULT (strftime('%s', 'now')),
       updated_at INTEGER DEFAULT (strftime('%s', 'now'))
@@ -44,10 +63,359 @@ export function initDatabase() {
       message_type TEXT,
       timestamp INTEGER,
       direction TEXT,
+      media_mimetype TEXT,
+      media_size INTEGER,
+      media_filename TEXT,
+      ack_status TEXT,
+      ack_updated_at INTEGER,
+      quoted_message_id TEXT,
+      forwarded_from TEXT,
+      reaction TEXT,
+      is_edited INTEGER DEFAULT 0,
+      edited_at INTEGER,
+      is_revoked INTEGER DEFAULT 0,
+      revoked_at INTEGER,
+      source TEXT,
       FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
     )
   `);
 
+  // Ack transitions for outgoing messages
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_acks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      ack INTEGER,
+      timestamp INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Media table (files downloaded from incoming messages)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS media (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      message_ref TEXT,
+      message_id TEXT,
+      mimetype TEXT,
+      size INTEGER,
+      filename TEXT,
+      sha256 TEXT,
+      file_path TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+      FOREIGN KEY (message_ref) REFERENCES messages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Outbound message queue
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_queue (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      to_number TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      next_attempt_at INTEGER DEFAULT (strftime('%s', 'now')),
+      last_error TEXT,
+      message_id TEXT,
+      source TEXT DEFAULT 'api',
+      source_ref TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      sent_at INTEGER,
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Scheduled messages
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_messages (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      to_number TEXT NOT NULL,
+      message TEXT NOT NULL,
+      send_at INTEGER NOT NULL,
+      timezone TEXT DEFAULT 'UTC',
+      recurrence TEXT DEFAULT 'none',
+      cron_expression TEXT,
+      status TEXT DEFAULT 'active',
+      next_run_at INTEGER,
+      last_run_at INTEGER,
+      run_count INTEGER DEFAULT 0,
+      last_status TEXT,
+      last_error TEXT,
+      last_job_id TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Broadcast campaigns
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      template TEXT NOT NULL,
+      status TEXT DEFAULT 'draft',
+      interval_ms INTEGER DEFAULT 5000,
+      jitter_ms INTEGER DEFAULT 2000,
+      total INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      started_at INTEGER,
+      completed_at INTEGER,
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS campaign_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      chat_id TEXT,
+      variables TEXT,
+      status TEXT DEFAULT 'pending',
+      job_id TEXT,
+      message_id TEXT,
+      error TEXT,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Additional webhook endpoints per device, each with its own routing filters
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      body_template TEXT,
+      response_enabled INTEGER DEFAULT 0,
+      response_path TEXT,
+      filters TEXT,
+      method TEXT DEFAULT 'POST',
+      content_type TEXT DEFAULT 'json',
+      timeout_ms INTEGER,
+      auth TEXT,
+      headers TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Webhook deliveries waiting for a retry
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_retries (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      webhook_id TEXT,
+      event TEXT NOT NULL,
+      url TEXT,
+      payload TEXT NOT NULL,
+      attempts INTEGER DEFAULT 1,
+      max_attempts INTEGER DEFAULT 5,
+      next_attempt_at INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Webhook deliveries that ran out of retries
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      webhook_id TEXT,
+      event TEXT NOT NULL,
+      url TEXT,
+      payload TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      failed_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Every webhook attempt with what was sent and received, for debugging integrations
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      webhook_id TEXT,
+      event TEXT NOT NULL,
+      attempt INTEGER DEFAULT 1,
+      method TEXT,
+      url TEXT,
+      request_headers TEXT,
+      request_body TEXT,
+      response_status INTEGER,
+      response_body TEXT,
+      duration_ms INTEGER,
+      error TEXT,
+      success INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Built-in keyword auto-reply rules, evaluated in priority order before webhook forwarding
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auto_reply_rules (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      priority INTEGER DEFAULT 100,
+      match_type TEXT NOT NULL,
+      pattern TEXT,
+      case_sensitive INTEGER DEFAULT 0,
+      chat_types TEXT,
+      time_window TEXT,
+      reply_text TEXT,
+      reply_media_url TEXT,
+      reply_quote INTEGER DEFAULT 0,
+      cooldown_seconds INTEGER DEFAULT 0,
+      stop_processing INTEGER DEFAULT 1,
+      match_count INTEGER DEFAULT 0,
+      last_matched_at INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Last auto-reply per rule and contact, for cooldowns
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auto_reply_cooldowns (
+      rule_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      replied_at INTEGER NOT NULL,
+      PRIMARY KEY (rule_id, contact_id),
+      FOREIGN KEY (rule_id) REFERENCES auto_reply_rules(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Away message sent per contact, so each closed period notifies a contact once
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS away_notices (
+      device_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      sent_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, contact_id),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Conversational flows: a JSON graph of nodes started by a trigger on incoming private messages
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flows (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      enabled INTEGER DEFAULT 1,
+      priority INTEGER DEFAULT 100,
+      trigger_type TEXT NOT NULL,
+      trigger_pattern TEXT,
+      definition TEXT NOT NULL,
+      session_timeout_seconds INTEGER DEFAULT 1800,
+      forward_to_webhooks INTEGER DEFAULT 0,
+      start_count INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Where each contact is in a flow; one session per contact and device
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flow_sessions (
+      device_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      flow_id TEXT NOT NULL,
+      node_id TEXT NOT NULL,
+      status TEXT DEFAULT 'waiting',
+      variables TEXT,
+      started_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, contact_id),
+      FOREIGN KEY (flow_id) REFERENCES flows(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Incoming messages that got an automatic reply, for the reply guard's rate limits and loop detection
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auto_reply_log (
+      device_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      replied_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, message_id),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Loop streak and mute per contact
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reply_guard_contacts (
+      device_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      streak INTEGER DEFAULT 0,
+      muted_until INTEGER,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, contact_id),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Chats an agent has taken over; automatic replies stay quiet until the mode expires or is released
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_modes (
+      device_id TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'human',
+      reason TEXT,
+      timeout_seconds INTEGER NOT NULL,
+      started_at INTEGER NOT NULL,
+      last_activity_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, chat_id),
+      FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Panel and API accounts; `devices` is a JSON array of device ids the user is limited to (NULL = all)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      devices TEXT,
+      is_active INTEGER DEFAULT 1,
+      last_login_at INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+
   // Stats table
   db.exec(`
     CREATE TABLE IF NOT EXISTS stats (
@@ -75,15 +443,42 @@ export function initDatabase() {
   // Create indexes
   db.exec('CREATE INDEX IF NOT EXISTS idx_messages_device ON messages(device_id)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(device_id, message_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_message_acks ON message_acks(device_id, message_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_media_device ON media(device_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_media_message ON media(message_ref)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_queue_device_status ON message_queue(device_id, status, next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_schedules_due ON scheduled_messages(status, next_run_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_campaigns_device ON campaigns(device_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_campaign_recipients ON campaign_recipients(campaign_id, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhooks_device ON webhooks(device_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_retries_due ON webhook_retries(next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_device ON webhook_dead_letters(device_id, failed_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_device ON webhook_deliveries(device_id, created_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_device ON auto_reply_rules(device_id, priority)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_flows_device ON flows(device_id, priority)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_flow_sessions_flow ON flow_sessions(flow_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_auto_reply_log_contact ON auto_reply_log(device_id, contact_id, replied_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_auto_reply_log_time ON auto_reply_log(device_id, replied_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_chat_modes_expiry ON chat_modes(expires_at)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_stats_device ON stats(device_id)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_logs_device ON logs(device_id)');
 }
 
 // Device operations
+const parseDevice = (row) => row ? {
+  ...row,
+  webhook_events: row.webhook_events ? JSON.parse(row.webhook_events) : [],
+  webhook_auth: row.webhook_auth ? JSON.parse(row.webhook_auth) : null,
+  webhook_headers: row.webhook_headers ? JSON.parse(row.webhook_headers) : [],
+  business_hours: row.business_hours ? JSON.parse(row.business_hours) : null,
+  reply_guard: row.reply_guard ? JSON.parse(row.reply_guard) : null
+} : row;
+
 export const deviceModel = {
   create: (id, name) => {
-    const stmt = db.prepare('INSERT INTO devices (id, name) VALUES (?, ?)');
-    stmt.run(id, name);
+    const stmt = db.prepare('INSERT INTO devices (id, name, webhook_secret) VALUES (?, ?, ?)');
+    stmt.run(id, name, generateWebhookSecret());
     
     // Initialize stats
     const statsStmt = db.prepare('INSERT INTO stats (device_id) VALUES (?)');
@@ -93,11 +488,11 @@ export const deviceModel = {
   },
 
   findAll: () => {
-    return db.prepare('SELECT * FROM devices ORDER BY created_at DESC').all();
+    return db.prepare('SELECT * FROM devices ORDER BY created_at DESC').all().map(parseDevice);
   },
 
   findById: (id) => {
-    return db.prepare('SELECT * FROM devices WHERE id = ?').get(id);
+    return parseDevice(db.prepare('SELECT * FROM devices WHERE id = ?').get(id));
   },
 
   update: (id, data) => {
@@ -117,6 +512,19 @@ export const deviceModel = {
     stmt.run(...values);
   },
 
+  // Devices created before signing existed get a secret on first use
+  getWebhookSecret: (id) => {
+    const row = db.prepare('SELECT webhook_secret FROM devices WHERE id = ?').get(id);
+    if (!row) return null;
+    return row.webhook_secret || deviceModel.rotateWebhookSecret(id);
+  },
+
+  rotateWebhookSecret: (id) => {
+    const secret = generateWebhookSecret();
+    deviceModel.update(id, { webhook_secret: secret });
+    return secret;
+  },
+
   delete: (id) => {
     db.prepare('DELETE FROM devices WHERE id = ?').run(id);
   }
@@ -127,8 +535,10 @@ export const messageModel = {
   create: (data) => {
     const stmt = db.prepare(`
       INSERT INTO messages (id, device_id, message_id, from_number, to_number, 
-                           message_body, message_type, timestamp, direction)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                           message_body, message_type, timestamp, direction,
+                           media_mimetype, media_size, media_filename, ack_status, ack_updated_at,
+                           quoted_message_id, forwarded_from, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     stmt.run(
@@ -140,17 +550,1164 @@ export const messageModel = {
       data.message_body,
       data.message_type,
       data.timestamp,
-      data.direction
+      data.direction,
+      data.media_mimetype || null,
+      data.media_size || null,
+      data.media_filename || null,
+      data.ack_status || null,
+      data.ack_status ? Math.floor(Date.now() / 1000) : null,
+      data.quoted_message_id || null,
+      data.forwarded_from || null,
+      data.source || null
     );
   },
 
+  update: (deviceId, messageId, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    });
+
+    values.push(deviceId, messageId);
+    db.prepare(`UPDATE messages SET ${fields.join(', ')} WHERE device_id = ? AND message_id = ?`).run(...values);
+  },
+
+  // Attach the real message id to the copy stored by a forward made through the API
+  claimForwardCopy: (deviceId, to, messageId) => {
+    return db.prepare(`
+      UPDATE messages SET message_id = ?
+      WHERE id = (
+        SELECT id FROM messages
+        WHERE device_id = ? AND to_number = ? AND forwarded_from IS NOT NULL AND message_id IS NULL
+        ORDER BY timestamp DESC LIMIT 1
+      )
+    `).run(messageId, deviceId, to).changes > 0;
+  },
+
   findByDevice: (deviceId, limit = 100) => {
     return db.prepare(`
-      SELECT * FROM messages 
-      WHERE device_id = ? 
-      ORDER BY timestamp DESC 
+      SELECT m.*, md.id as media_id FROM messages m
+      LEFT JOIN media md ON md.message_ref = m.id
+      WHERE m.device_id = ? 
+      ORDER BY m.timestamp DESC 
       LIMIT ?
     `).all(deviceId, limit);
+  },
+
+  findByMessageId: (deviceId, messageId) => {
+    return db.prepare(`
+      SELECT m.*, md.id as media_id FROM messages m
+      LEFT JOIN media md ON md.message_ref = m.id
+      WHERE m.device_id = ? AND m.message_id = ?
+    `).get(deviceId, messageId);
+  },
+
+  countIncomingFrom: (deviceId, chatId) => {
+    return db.prepare(`
+      SELECT COUNT(*) as count FROM messages
+      WHERE device_id = ? AND from_number = ? AND direction = 'incoming'
+    `).get(deviceId, chatId).count;
+  }
+};
+
+// Ack operations
+export const ACK_STATUS = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'server',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+export const ackModel = {
+  // Records a transition; returns false for duplicates and acks older than the current state
+  record: (deviceId, messageId, status, ack) => {
+    const last = db.prepare(`
+      SELECT ack FROM message_acks
+      WHERE device_id = ? AND message_id = ?
+      ORDER BY id DESC LIMIT 1
+    `).get(deviceId, messageId);
+
+    if (last && (ack === -1 ? last.ack === -1 : ack <= last.ack)) {
+      return false;
+    }
+
+    db.prepare('INSERT INTO message_acks (device_id, message_id, status, ack) VALUES (?, ?, ?, ?)')
+      .run(deviceId, messageId, status, ack);
+    ackModel.syncMessage(deviceId, messageId);
+    return true;
+  },
+
+  // Copy the latest ack onto the messages row
+  syncMessage: (deviceId, messageId) => {
+    db.prepare(`
+      UPDATE messages SET (ack_status, ack_updated_at) = (
+        SELECT status, timestamp FROM message_acks
+        WHERE device_id = ? AND message_id = ?
+        ORDER BY id DESC LIMIT 1
+      )
+      WHERE device_id = ? AND message_id = ?
+        AND EXISTS (SELECT 1 FROM message_acks WHERE device_id = ? AND message_id = ?)
+    `).run(deviceId, messageId, deviceId, messageId, deviceId, messageId);
+  },
+
+  findByMessage: (deviceId, messageId) => {
+    return db.prepare(`
+      SELECT status, ack, timestamp FROM message_acks
+      WHERE device_id = ? AND message_id = ?
+      ORDER BY id ASC
+    `).all(deviceId, messageId);
+  }
+};
+
+// Media operations
+export const mediaModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO media (id, device_id, message_ref, message_id, mimetype, size, filename, sha256, file_path)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.message_ref,
+      data.message_id,
+      data.mimetype,
+      data.size,
+      data.filename,
+      data.sha256,
+      data.file_path
+    );
+  },
+
+  findById: (deviceId, id) => {
+    return db.prepare('SELECT * FROM media WHERE id = ? AND device_id = ?').get(id, deviceId);
+  },
+
+  // Attach media stored for a queued send to the message it became
+  linkMessage: (id, messageRef, messageId) => {
+    db.prepare('UPDATE media SET message_ref = ?, message_id = ? WHERE id = ?').run(messageRef, messageId, id);
+  },
+
+  // Unlinked media older than `before` that no pending job or recently finished job still points at
+  findUnreferenced: (before) => {
+    return db.prepare(`
+      SELECT md.* FROM media md
+      WHERE md.message_ref IS NULL AND md.created_at < ?
+        AND NOT EXISTS (
+          SELECT 1 FROM message_queue q
+          WHERE q.device_id = md.device_id AND json_extract(q.payload, '$.media_id') = md.id
+            AND (q.status IN ('pending', 'processing') OR q.updated_at >= ?)
+        )
+    `).all(before, before);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM media WHERE id = ?').run(id);
+  },
+
+  deleteByDevice: (deviceId) => {
+    db.prepare('DELETE FROM media WHERE device_id = ?').run(deviceId);
+  }
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Optional device filter for the dashboard queries: null means every device
+const deviceScope = (column, deviceIds) => deviceIds
+  ? { where: `${column} IN (SELECT value FROM json_each(?))`, params: [JSON.stringify(deviceIds)] }
+  : { where: '1 = 1', params: [] };
+
+// Outbound queue operations
+const parseJob = (row) => row ? { ...row, payload: JSON.parse(row.payload) } : row;
+
+export const queueModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO message_queue (id, device_id, to_number, payload, max_attempts, next_attempt_at, source, source_ref)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.to_number,
+      JSON.stringify(data.payload),
+      data.max_attempts,
+      data.next_attempt_at || now(),
+      data.source || 'api',
+      data.source_ref || null
+    );
+    return queueModel.findById(data.device_id, data.id);
+  },
+
+  findById: (deviceId, id) => {
+    return parseJob(db.prepare('SELECT * FROM message_queue WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  findByDevice: (deviceId, { status, limit = 100 } = {}) => {
+    if (status) {
+      return db.prepare(`
+        SELECT * FROM message_queue
+        WHERE device_id = ? AND status = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      `).all(deviceId, status, limit).map(parseJob);
+    }
+    return db.prepare(`
+      SELECT * FROM message_queue
+      WHERE device_id = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(deviceId, limit).map(parseJob);
+  },
+
+  countByStatus: (deviceId) => {
+    return db.prepare(`
+      SELECT status, COUNT(*) as count FROM message_queue
+      WHERE device_id = ?
+      GROUP BY status
+    `).all(deviceId);
+  },
+
+  findNextDue: (deviceId) => {
+    return parseJob(db.prepare(`
+      SELECT * FROM message_queue
+      WHERE device_id = ? AND status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC, created_at ASC, rowid ASC
+      LIMIT 1
+    `).get(deviceId, now()));
+  },
+
+  findDevicesWithDueJobs: () => {
+    return db.prepare(`
+      SELECT DISTINCT device_id FROM message_queue
+      WHERE status = 'pending' AND next_attempt_at <= ?
+    `).all(now()).map(row => row.device_id);
+  },
+
+  markProcessing: (id) => {
+    db.prepare(`
+      UPDATE message_queue SET status = 'processing', attempts = attempts + 1, updated_at = ?
+      WHERE id = ?
+    `).run(now(), id);
+  },
+
+  markSent: (id, messageId) => {
+    db.prepare(`
+      UPDATE message_queue SET status = 'sent', message_id = ?, last_error = NULL, sent_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(messageId, now(), now(), id);
+  },
+
+  markRetry: (id, error, nextAttemptAt) => {
+    db.prepare(`
+      UPDATE message_queue SET status = 'pending', last_error = ?, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(error, nextAttemptAt, now(), id);
+  },
+
+  markFailed: (id, error) => {
+    db.prepare(`
+      UPDATE message_queue SET status = 'failed', last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(error, now(), id);
+  },
+
+  // Returns true when the job was still pending
+  cancel: (deviceId, id) => {
+    const result = db.prepare(`
+      UPDATE message_queue SET status = 'cancelled', updated_at = ?
+      WHERE id = ? AND device_id = ? AND status = 'pending'
+    `).run(now(), id, deviceId);
+    return result.changes > 0;
+  },
+
+  // Returns true when the job was failed or cancelled
+  retry: (deviceId, id) => {
+    const result = db.prepare(`
+      UPDATE message_queue SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND device_id = ? AND status IN ('failed', 'cancelled')
+    `).run(now(), now(), id, deviceId);
+    return result.changes > 0;
+  },
+
+  // Jobs interrupted by a crash or shutdown go back to the queue
+  resetProcessing: () => {
+    return db.prepare(`
+      UPDATE message_queue SET status = 'pending', updated_at = ?
+      WHERE status = 'processing'
+    `).run(now()).changes;
+  }
+};
+
+// Scheduled message operations
+export const scheduleModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO scheduled_messages (id, device_id, to_number, message, send_at, timezone,
+                                      recurrence, cron_expression, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.to_number,
+      data.message,
+      data.send_at,
+      data.timezone,
+      data.recurrence,
+      data.cron_expression || null,
+      data.next_run_at
+    );
+    return scheduleModel.findById(data.device_id, data.id);
+  },
+
+  findById: (deviceId, id) => {
+    return db.prepare('SELECT * FROM scheduled_messages WHERE id = ? AND device_id = ?').get(id, deviceId);
+  },
+
+  findByDevice: (deviceId, { status, limit = 100 } = {}) => {
+    if (status) {
+      return db.prepare(`
+        SELECT * FROM scheduled_messages
+        WHERE device_id = ? AND status = ?
+        ORDER BY next_run_at ASC
+        LIMIT ?
+      `).all(deviceId, status, limit);
+    }
+    return db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE device_id = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(deviceId, limit);
+  },
+
+  findDue: (limit = 50) => {
+    return db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE status = 'active' AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+      LIMIT ?
+    `).all(now(), limit);
+  },
+
+  findFailed: (limit = 50, deviceIds = null) => {
+    const scope = deviceScope('device_id', deviceIds);
+    return db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE last_status = 'failed' AND status != 'cancelled' AND ${scope.where}
+      ORDER BY updated_at DESC
+      LIMIT ?
+    `).all(...scope.params, limit);
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE scheduled_messages SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  }
+};
+
+// Campaign operations
+const parseRecipient = (row) => row ? { ...row, variables: row.variables ? JSON.parse(row.variables) : {} } : row;
+
+export const campaignModel = {
+  // Campaign and recipients are inserted in one transaction
+  create: db.transaction((data, recipients) => {
+    db.prepare(`
+      INSERT INTO campaigns (id, device_id, name, template, status, interval_ms, jitter_ms, total)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.name,
+      data.template,
+      data.status || 'draft',
+      data.interval_ms,
+      data.jitter_ms,
+      recipients.length
+    );
+
+    const insert = db.prepare(`
+      INSERT INTO campaign_recipients (campaign_id, phone, chat_id, variables, status, error)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const recipient of recipients) {
+      insert.run(
+        data.id,
+        recipient.phone,
+        recipient.chat_id || null,
+        JSON.stringify(recipient.variables || {}),
+        recipient.status || 'pending',
+        recipient.error || null
+      );
+    }
+  }),
+
+  findById: (deviceId, id) => {
+    return db.prepare('SELECT * FROM campaigns WHERE id = ? AND device_id = ?').get(id, deviceId);
+  },
+
+  findByDevice: (deviceId, limit = 100) => {
+    return db.prepare(`
+      SELECT * FROM campaigns
+      WHERE device_id = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(deviceId, limit);
+  },
+
+  findByStatus: (status) => {
+    return db.prepare('SELECT * FROM campaigns WHERE status = ?').all(status);
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE campaigns SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  // The campaign and its recipients that were never queued are cancelled together
+  cancel: db.transaction((id) => {
+    const timestamp = now();
+    db.prepare(`UPDATE campaigns SET status = 'cancelled', completed_at = ?, updated_at = ? WHERE id = ?`).run(timestamp, timestamp, id);
+    db.prepare(`
+      UPDATE campaign_recipients SET status = 'cancelled', updated_at = ?
+      WHERE campaign_id = ? AND status = 'pending'
+    `).run(timestamp, id);
+  }),
+
+  countRecipients: (campaignId) => {
+    const rows = db.prepare(`
+      SELECT status, COUNT(*) as count FROM campaign_recipients
+      WHERE campaign_id = ?
+      GROUP BY status
+    `).all(campaignId);
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  },
+
+  findRecipients: (campaignId, { status, limit = 100, offset = 0 } = {}) => {
+    if (status) {
+      return db.prepare(`
+        SELECT * FROM campaign_recipients
+        WHERE campaign_id = ? AND status = ?
+        ORDER BY id ASC
+        LIMIT ? OFFSET ?
+      `).all(campaignId, status, limit, offset).map(parseRecipient);
+    }
+    return db.prepare(`
+      SELECT * FROM campaign_recipients
+      WHERE campaign_id = ?
+      ORDER BY id ASC
+      LIMIT ? OFFSET ?
+    `).all(campaignId, limit, offset).map(parseRecipient);
+  },
+
+  findRecipientById: (id) => {
+    return parseRecipient(db.prepare('SELECT * FROM campaign_recipients WHERE id = ?').get(id));
+  },
+
+  findNextPending: (campaignId) => {
+    return parseRecipient(db.prepare(`
+      SELECT * FROM campaign_recipients
+      WHERE campaign_id = ? AND status = 'pending'
+      ORDER BY id ASC
+      LIMIT 1
+    `).get(campaignId));
+  },
+
+  findInFlight: (campaignId) => {
+    return parseRecipient(db.prepare(`
+      SELECT * FROM campaign_recipients
+      WHERE campaign_id = ? AND status = 'queued'
+      LIMIT 1
+    `).get(campaignId));
+  },
+
+  updateRecipient: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE campaign_recipients SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  }
+};
+
+const parseDelivery = (row) => row ? { ...row, payload: JSON.parse(row.payload) } : row;
+
+// Webhook endpoint operations
+const parseWebhook = (row) => row ? {
+  ...row,
+  filters: row.filters ? JSON.parse(row.filters) : {},
+  auth: row.auth ? JSON.parse(row.auth) : null,
+  headers: row.headers ? JSON.parse(row.headers) : []
+} : row;
+
+// Webhook columns stored as JSON
+const WEBHOOK_JSON_FIELDS = ['filters', 'auth', 'headers'];
+
+export const webhookModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO webhooks (id, device_id, name, url, enabled, body_template, response_enabled, response_path, filters,
+        method, content_type, timeout_ms, auth, headers)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.name,
+      data.url,
+      data.enabled ?? 1,
+      data.body_template || null,
+      data.response_enabled ?? 0,
+      data.response_path || null,
+      JSON.stringify(data.filters || {}),
+      data.method || 'POST',
+      data.content_type || 'json',
+      data.timeout_ms || null,
+      data.auth ? JSON.stringify(data.auth) : null,
+      JSON.stringify(data.headers || [])
+    );
+    return webhookModel.findById(data.device_id, data.id);
+  },
+
+  findById: (deviceId, id) => {
+    return parseWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  findByDevice: (deviceId) => {
+    return db.prepare('SELECT * FROM webhooks WHERE device_id = ? ORDER BY created_at ASC').all(deviceId).map(parseWebhook);
+  },
+
+  findEnabled: (deviceId) => {
+    return db.prepare('SELECT * FROM webhooks WHERE device_id = ? AND enabled = 1 ORDER BY created_at ASC').all(deviceId).map(parseWebhook);
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(WEBHOOK_JSON_FIELDS.includes(key) && value !== null ? JSON.stringify(value) : value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+  }
+};
+
+// Webhook retry operations
+export const webhookRetryModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO webhook_retries (id, device_id, webhook_id, event, url, payload, attempts, max_attempts, next_attempt_at, last_error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.webhook_id || null,
+      data.event,
+      data.url || null,
+      JSON.stringify(data.payload),
+      data.attempts,
+      data.max_attempts,
+      data.next_attempt_at,
+      data.last_error || null
+    );
+  },
+
+  findByDevice: (deviceId, limit = 100) => {
+    return db.prepare(`
+      SELECT * FROM webhook_retries
+      WHERE device_id = ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `).all(deviceId, limit).map(parseDelivery);
+  },
+
+  findDue: (limit = 50) => {
+    return db.prepare(`
+      SELECT * FROM webhook_retries
+      WHERE next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `).all(now(), limit).map(parseDelivery);
+  },
+
+  reschedule: (id, attempts, nextAttemptAt, error) => {
+    db.prepare(`
+      UPDATE webhook_retries SET attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(attempts, nextAttemptAt, error, now(), id);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM webhook_retries WHERE id = ?').run(id);
+  }
+};
+
+// Dead-letter operations
+export const deadLetterModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO webhook_dead_letters (id, device_id, webhook_id, event, url, payload, attempts, last_error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.webhook_id || null,
+      data.event,
+      data.url || null,
+      JSON.stringify(data.payload),
+      data.attempts,
+      data.last_error || null,
+      data.created_at || now()
+    );
+  },
+
+  findById: (deviceId, id) => {
+    return parseDelivery(db.prepare('SELECT * FROM webhook_dead_letters WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  findByDevice: (deviceId, { event, limit = 100 } = {}) => {
+    if (event) {
+      return db.prepare(`
+        SELECT * FROM webhook_dead_letters
+        WHERE device_id = ? AND event = ?
+        ORDER BY failed_at DESC
+        LIMIT ?
+      `).all(deviceId, event, limit).map(parseDelivery);
+    }
+    return db.prepare(`
+      SELECT * FROM webhook_dead_letters
+      WHERE device_id = ?
+      ORDER BY failed_at DESC
+      LIMIT ?
+    `).all(deviceId, limit).map(parseDelivery);
+  },
+
+  countByDevice: (deviceId) => {
+    return db.prepare('SELECT COUNT(*) as count FROM webhook_dead_letters WHERE device_id = ?').get(deviceId).count;
+  },
+
+  recordFailure: (id, error) => {
+    db.prepare(`
+      UPDATE webhook_dead_letters SET attempts = attempts + 1, last_error = ?, failed_at = ?
+      WHERE id = ?
+    `).run(error, now(), id);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM webhook_dead_letters WHERE id = ?').run(id);
+  }
+};
+
+// Webhook delivery history
+const parseDeliveryRecord = (row) => row ? { ...row, request_headers: row.request_headers ? JSON.parse(row.request_headers) : {} } : row;
+
+export const webhookDeliveryModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO webhook_deliveries (id, device_id, webhook_id, event, attempt, method, url, request_headers, request_body,
+        response_status, response_body, duration_ms, error, success)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.webhook_id || null,
+      data.event,
+      data.attempt,
+      data.method,
+      data.url,
+      JSON.stringify(data.request_headers || {}),
+      data.request_body ?? null,
+      data.response_status ?? null,
+      data.response_body ?? null,
+      data.duration_ms,
+      data.error || null,
+      data.success ? 1 : 0
+    );
+  },
+
+  findById: (deviceId, id) => {
+    return parseDeliveryRecord(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  // Newest first without the request/response bodies; `webhookId` 'primary' selects the device's own webhook
+  findByDevice: (deviceId, { webhookId, event, success, status, since, until, limit = 50, offset = 0 } = {}) => {
+    const conditions = ['device_id = ?'];
+    const values = [deviceId];
+
+    if (webhookId === 'primary') {
+      conditions.push('webhook_id IS NULL');
+    } else if (webhookId) {
+      conditions.push('webhook_id = ?');
+      values.push(webhookId);
+    }
+    if (event) {
+      conditions.push('event = ?');
+      values.push(event);
+    }
+    if (success !== undefined) {
+      conditions.push('success = ?');
+      values.push(success ? 1 : 0);
+    }
+    if (status) {
+      conditions.push('response_status = ?');
+      values.push(status);
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      values.push(since);
+    }
+    if (until) {
+      conditions.push('created_at <= ?');
+      values.push(until);
+    }
+
+    const where = conditions.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE ${where}`).get(...values).count;
+    const deliveries = db.prepare(`
+      SELECT id, device_id, webhook_id, event, attempt, method, url, response_status, duration_ms, error, success, created_at
+      FROM webhook_deliveries
+      WHERE ${where}
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ? OFFSET ?
+    `).all(...values, limit, offset);
+
+    return { deliveries, total, limit, offset };
+  },
+
+  deleteOlderThan: (timestamp) => {
+    return db.prepare('DELETE FROM webhook_deliveries WHERE created_at < ?').run(timestamp).changes;
+  }
+};
+
+// Auto-reply rule operations
+const parseRule = (row) => row ? {
+  ...row,
+  chat_types: row.chat_types ? JSON.parse(row.chat_types) : [],
+  time_window: row.time_window ? JSON.parse(row.time_window) : null
+} : row;
+
+const RULE_JSON_FIELDS = ['chat_types', 'time_window'];
+
+export const autoReplyRuleModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO auto_reply_rules (id, device_id, name, enabled, priority, match_type, pattern, case_sensitive, chat_types,
+        time_window, reply_text, reply_media_url, reply_quote, cooldown_seconds, stop_processing)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.name,
+      data.enabled ?? 1,
+      data.priority ?? 100,
+      data.match_type,
+      data.pattern || null,
+      data.case_sensitive ?? 0,
+      JSON.stringify(data.chat_types || []),
+      data.time_window ? JSON.stringify(data.time_window) : null,
+      data.reply_text || null,
+      data.reply_media_url || null,
+      data.reply_quote ?? 0,
+      data.cooldown_seconds ?? 0,
+      data.stop_processing ?? 1
+    );
+    return autoReplyRuleModel.findById(data.device_id, data.id);
+  },
+
+  findById: (deviceId, id) => {
+    return parseRule(db.prepare('SELECT * FROM auto_reply_rules WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  findByDevice: (deviceId) => {
+    return db.prepare('SELECT * FROM auto_reply_rules WHERE device_id = ? ORDER BY priority ASC, created_at ASC').all(deviceId).map(parseRule);
+  },
+
+  findEnabled: (deviceId) => {
+    return db.prepare(`
+      SELECT * FROM auto_reply_rules
+      WHERE device_id = ? AND enabled = 1
+      ORDER BY priority ASC, created_at ASC
+    `).all(deviceId).map(parseRule);
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(RULE_JSON_FIELDS.includes(key) && value !== null ? JSON.stringify(value) : value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE auto_reply_rules SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  recordMatch: (id) => {
+    db.prepare('UPDATE auto_reply_rules SET match_count = match_count + 1, last_matched_at = ? WHERE id = ?').run(now(), id);
+  },
+
+  lastReplyAt: (id, contactId) => {
+    return db.prepare('SELECT replied_at FROM auto_reply_cooldowns WHERE rule_id = ? AND contact_id = ?').get(id, contactId)?.replied_at || null;
+  },
+
+  recordReply: (id, contactId) => {
+    db.prepare(`
+      INSERT INTO auto_reply_cooldowns (rule_id, contact_id, replied_at) VALUES (?, ?, ?)
+      ON CONFLICT(rule_id, contact_id) DO UPDATE SET replied_at = excluded.replied_at
+    `).run(id, contactId, now());
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM auto_reply_cooldowns WHERE rule_id = ?').run(id);
+    db.prepare('DELETE FROM auto_reply_rules WHERE id = ?').run(id);
+  }
+};
+
+// Away notice operations
+export const awayNoticeModel = {
+  lastSentAt: (deviceId, contactId) => {
+    return db.prepare('SELECT sent_at FROM away_notices WHERE device_id = ? AND contact_id = ?').get(deviceId, contactId)?.sent_at || null;
+  },
+
+  record: (deviceId, contactId) => {
+    db.prepare(`
+      INSERT INTO away_notices (device_id, contact_id, sent_at) VALUES (?, ?, ?)
+      ON CONFLICT(device_id, contact_id) DO UPDATE SET sent_at = excluded.sent_at
+    `).run(deviceId, contactId, now());
+  }
+};
+
+// Flow operations
+const parseFlow = (row) => row ? { ...row, definition: JSON.parse(row.definition) } : row;
+const parseFlowSession = (row) => row ? { ...row, variables: row.variables ? JSON.parse(row.variables) : {} } : row;
+
+export const flowModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO flows (id, device_id, name, description, enabled, priority, trigger_type, trigger_pattern, definition,
+        session_timeout_seconds, forward_to_webhooks)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.device_id,
+      data.name,
+      data.description || null,
+      data.enabled ?? 1,
+      data.priority ?? 100,
+      data.trigger_type,
+      data.trigger_pattern || null,
+      JSON.stringify(data.definition),
+      data.session_timeout_seconds ?? 1800,
+      data.forward_to_webhooks ?? 0
+    );
+    return flowModel.findById(data.device_id, data.id);
+  },
+
+  findById: (deviceId, id) => {
+    return parseFlow(db.prepare('SELECT * FROM flows WHERE id = ? AND device_id = ?').get(id, deviceId));
+  },
+
+  findByDevice: (deviceId) => {
+    return db.prepare('SELECT * FROM flows WHERE device_id = ? ORDER BY priority ASC, created_at ASC').all(deviceId).map(parseFlow);
+  },
+
+  findEnabled: (deviceId) => {
+    return db.prepare(`
+      SELECT * FROM flows
+      WHERE device_id = ? AND enabled = 1
+      ORDER BY priority ASC, created_at ASC
+    `).all(deviceId).map(parseFlow);
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(key === 'definition' ? JSON.stringify(value) : value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE flows SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  recordStart: (id) => {
+    db.prepare('UPDATE flows SET start_count = start_count + 1 WHERE id = ?').run(id);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM flow_sessions WHERE flow_id = ?').run(id);
+    db.prepare('DELETE FROM flows WHERE id = ?').run(id);
+  }
+};
+
+export const flowSessionModel = {
+  // Expired sessions are treated as gone
+  find: (deviceId, contactId) => {
+    return parseFlowSession(db.prepare(`
+      SELECT * FROM flow_sessions WHERE device_id = ? AND contact_id = ? AND expires_at > ?
+    `).get(deviceId, contactId, now()));
+  },
+
+  findByDevice: (deviceId, { flowId } = {}) => {
+    const conditions = ['s.device_id = ?', 's.expires_at > ?'];
+    const params = [deviceId, now()];
+    if (flowId) {
+      conditions.push('s.flow_id = ?');
+      params.push(flowId);
+    }
+
+    return db.prepare(`
+      SELECT s.*, f.name AS flow_name FROM flow_sessions s
+      LEFT JOIN flows f ON f.id = s.flow_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.updated_at DESC
+    `).all(...params).map(parseFlowSession);
+  },
+
+  save: (data) => {
+    const timestamp = now();
+    db.prepare(`
+      INSERT INTO flow_sessions (device_id, contact_id, flow_id, node_id, status, variables, started_at, updated_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(device_id, contact_id) DO UPDATE SET
+        flow_id = excluded.flow_id,
+        node_id = excluded.node_id,
+        status = excluded.status,
+        variables = excluded.variables,
+        started_at = excluded.started_at,
+        updated_at = excluded.updated_at,
+        expires_at = excluded.expires_at
+    `).run(
+      data.device_id,
+      data.contact_id,
+      data.flow_id,
+      data.node_id,
+      data.status,
+      JSON.stringify(data.variables || {}),
+      data.started_at ?? timestamp,
+      timestamp,
+      timestamp + data.timeout_seconds
+    );
+  },
+
+  delete: (deviceId, contactId) => {
+    return db.prepare('DELETE FROM flow_sessions WHERE device_id = ? AND contact_id = ?').run(deviceId, contactId).changes > 0;
+  },
+
+  deleteExpired: () => {
+    return db.prepare('DELETE FROM flow_sessions WHERE expires_at <= ?').run(now()).changes;
+  }
+};
+
+// Reply guard operations
+export const replyGuardModel = {
+  recordReply: (deviceId, contactId, messageId) => {
+    db.prepare(`
+      INSERT OR IGNORE INTO auto_reply_log (device_id, contact_id, message_id, replied_at) VALUES (?, ?, ?, ?)
+    `).run(deviceId, contactId, messageId, now());
+  },
+
+  // Answered messages since `since`, for one contact or the whole device
+  countReplies: (deviceId, since, contactId = null) => {
+    return contactId
+      ? db.prepare('SELECT COUNT(*) AS count FROM auto_reply_log WHERE device_id = ? AND contact_id = ? AND replied_at > ?').get(deviceId, contactId, since).count
+      : db.prepare('SELECT COUNT(*) AS count FROM auto_reply_log WHERE device_id = ? AND replied_at > ?').get(deviceId, since).count;
+  },
+
+  lastReplyAt: (deviceId, contactId) => {
+    return db.prepare('SELECT MAX(replied_at) AS replied_at FROM auto_reply_log WHERE device_id = ? AND contact_id = ?').get(deviceId, contactId).replied_at;
+  },
+
+  getContact: (deviceId, contactId) => {
+    return db.prepare('SELECT * FROM reply_guard_contacts WHERE device_id = ? AND contact_id = ?').get(deviceId, contactId);
+  },
+
+  saveContact: (deviceId, contactId, { streak, muted_until }) => {
+    db.prepare(`
+      INSERT INTO reply_guard_contacts (device_id, contact_id, streak, muted_until, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(device_id, contact_id) DO UPDATE SET
+        streak = excluded.streak,
+        muted_until = excluded.muted_until,
+        updated_at = excluded.updated_at
+    `).run(deviceId, contactId, streak, muted_until, now());
+  },
+
+  findMuted: (deviceId) => {
+    return db.prepare(`
+      SELECT contact_id, muted_until, updated_at FROM reply_guard_contacts
+      WHERE device_id = ? AND muted_until > ?
+      ORDER BY muted_until DESC
+    `).all(deviceId, now());
+  },
+
+  unmute: (deviceId, contactId) => {
+    return db.prepare(`
+      UPDATE reply_guard_contacts SET muted_until = NULL, streak = 0, updated_at = ?
+      WHERE device_id = ? AND contact_id = ? AND muted_until > ?
+    `).run(now(), deviceId, contactId, now()).changes > 0;
+  },
+
+  deleteOlderThan: (timestamp) => {
+    db.prepare('DELETE FROM reply_guard_contacts WHERE updated_at < ? AND (muted_until IS NULL OR muted_until < ?)').run(timestamp, timestamp);
+    return db.prepare('DELETE FROM auto_reply_log WHERE replied_at < ?').run(timestamp).changes;
+  }
+};
+
+// Chat mode operations; a chat without a row is in bot mode
+export const chatModeModel = {
+  // Expired rows are treated as bot mode until the sweeper removes them
+  find: (deviceId, chatId) => {
+    return db.prepare('SELECT * FROM chat_modes WHERE device_id = ? AND chat_id = ? AND expires_at > ?').get(deviceId, chatId, now());
+  },
+
+  findByDevice: (deviceId) => {
+    return db.prepare('SELECT * FROM chat_modes WHERE device_id = ? AND expires_at > ? ORDER BY last_activity_at DESC').all(deviceId, now());
+  },
+
+  // Starts human mode, or extends it from now when the chat is already in it
+  save: (deviceId, chatId, { reason, timeout_seconds }) => {
+    const timestamp = now();
+    db.prepare(`
+      INSERT INTO chat_modes (device_id, chat_id, mode, reason, timeout_seconds, started_at, last_activity_at, expires_at)
+      VALUES (?, ?, 'human', ?, ?, ?, ?, ?)
+      ON CONFLICT(device_id, chat_id) DO UPDATE SET
+        reason = CASE WHEN chat_modes.expires_at > excluded.last_activity_at THEN chat_modes.reason ELSE excluded.reason END,
+        started_at = CASE WHEN chat_modes.expires_at > excluded.last_activity_at THEN chat_modes.started_at ELSE excluded.started_at END,
+        timeout_seconds = excluded.timeout_seconds,
+        last_activity_at = excluded.last_activity_at,
+        expires_at = excluded.expires_at
+    `).run(deviceId, chatId, reason, timeout_seconds, timestamp, timestamp, timestamp + timeout_seconds);
+    return chatModeModel.find(deviceId, chatId);
+  },
+
+  delete: (deviceId, chatId) => {
+    return db.prepare('DELETE FROM chat_modes WHERE device_id = ? AND chat_id = ? AND expires_at > ?').run(deviceId, chatId, now()).changes > 0;
+  },
+
+  findExpired: () => {
+    return db.prepare('SELECT * FROM chat_modes WHERE expires_at <= ?').all(now());
+  },
+
+  deleteExpired: (deviceId, chatId) => {
+    db.prepare('DELETE FROM chat_modes WHERE device_id = ? AND chat_id = ? AND expires_at <= ?').run(deviceId, chatId, now());
+  }
+};
+
+const parseUser = (row) => row ? {
+  ...row,
+  devices: row.devices ? JSON.parse(row.devices) : null
+} : row;
+
+// User operations; rows include password_hash, strip it before returning a user from the API
+export const userModel = {
+  create: (data) => {
+    db.prepare(`
+      INSERT INTO users (id, username, password_hash, role, devices, is_active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      data.id,
+      data.username,
+      data.password_hash,
+      data.role,
+      data.devices ? JSON.stringify(data.devices) : null,
+      data.is_active ?? 1
+    );
+    return userModel.findById(data.id);
+  },
+
+  findById: (id) => {
+    return parseUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  },
+
+  findByUsername: (username) => {
+    return parseUser(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+  },
+
+  findAll: () => {
+    return db.prepare('SELECT * FROM users ORDER BY username ASC').all().map(parseUser);
+  },
+
+  count: () => {
+    return db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+  },
+
+  countActiveAdmins: () => {
+    return db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1").get().count;
+  },
+
+  update: (id, data) => {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(key === 'devices' && value ? JSON.stringify(value) : value);
+    });
+
+    fields.push('updated_at = ?');
+    values.push(now());
+    values.push(id);
+
+    db.prepare(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  recordLogin: (id) => {
+    db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(now(), id);
+  },
+
+  delete: (id) => {
+    db.prepare('DELETE FROM users WHERE id = ?').run(id);
   }
 };
 
@@ -169,7 +1726,8 @@ export const statsModel = {
     stmt.run(Math.floor(Date.now() / 1000), deviceId);
   },
 
-  getGlobal: () => {
+  getGlobal: (deviceIds = null) => {
+    const scope = deviceScope('device_id', deviceIds);
     return db.prepare(`
       SELECT 
         COUNT(DISTINCT device_id) as total_devices,
@@ -177,7 +1735,8 @@ export const statsModel = {
         SUM(messages_received) as total_received,
         SUM(webhook_calls) as total_webhooks
       FROM stats
-    `).get();
+      WHERE ${scope.where}
+    `).get(...scope.params);
   }
 };
 
@@ -188,8 +1747,9 @@ export const logModel = {
       .run(deviceId, level, message);
   },
 
-  findRecent: (limit = 100) => {
-    return db.prepare('SELECT * FROM logs ORDER BY timestamp DESC LIMIT ?').all(limit);
+  findRecent: (limit = 100, deviceIds = null) => {
+    const scope = deviceScope('device_id', deviceIds);
+    return db.prepare(`SELECT * FROM logs WHERE ${scope.where} ORDER BY timestamp DESC LIMIT ?`).all(...scope.params, limit);
   },
 
   findByDevice: (deviceId, limit = 100) => {
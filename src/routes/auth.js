@@ -1,12 +1,16 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
+import { userModel } from '../models/database.js';
+import { verifyPassword, hashPassword, publicUser, MIN_PASSWORD_LENGTH } from '../services/users.js';
 
 const router = express.Router();
 
-// Middleware to check if user is authenticated
+// Middleware to check if user is authenticated; the user is loaded on every request so role
+// changes and deactivation apply to existing sessions
 export const isAuthenticated = (req, res, next) => {
-  if (req.session && req.session.userId) {
+  const user = req.session?.userId ? userModel.findById(req.session.userId) : null;
+  if (user && user.is_active) {
+    req.user = user;
     return next();
   }
   res.status(401).json({ success: false, message: 'Unauthorized' });
@@ -24,36 +28,31 @@ router.post('/login',
       }
 
       const { username, password } = req.body;
-      
-      const adminUsername = process.env.ADMIN_USERNAME || 'admin';
-      const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
 
-      if (username !== adminUsername) {
+      const user = userModel.findByUsername(username);
+      if (!user || !user.is_active || !(await verifyPassword(password, user.password_hash))) {
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
 
-      // Check if password is already hashed or plain text
-      let isValid = false;
-      if (adminPassword.startsWith('$2a$') || adminPassword.startsWith('$2b$')) {
-        isValid = await bcrypt.compare(password, adminPassword);
-      } else {
-        isValid = password === adminPassword;
-      }
-
-      if (!isValid) {
-        return res.status(401).json({ success: false, message: 'Invalid credentials' });
-      }
-
-      req.session.userId = username;
-      
-      // Force save session
-      req.session.save((err) => {
+      // New session id on login, so an id planted before login (session fixation) is useless
+      req.session.regenerate((err) => {
         if (err) {
-          console.error('Session save error:', err);
+          console.error('Session regenerate error:', err);
           return res.status(500).json({ success: false, message: 'Session save failed' });
         }
-        
-        res.json({ success: true, message: 'Login successful' });
+
+        req.session.userId = user.id;
+        userModel.recordLogin(user.id);
+
+        // Force save session
+        req.session.save((err) => {
+          if (err) {
+            console.error('Session save error:', err);
+            return res.status(500).json({ success: false, message: 'Session save failed' });
+          }
+
+          res.json({ success: true, message: 'Login successful', user: publicUser(user) });
+        });
       });
     } catch (error) {
       res.status(500).json({ success: false, message: error.message });
@@ -73,11 +72,36 @@ router.post('/logout', (req, res) => {
 
 // Check auth status
 router.get('/status', (req, res) => {
-  if (req.session && req.session.userId) {
-    res.json({ success: true, authenticated: true, user: req.session.userId });
+  const user = req.session?.userId ? userModel.findById(req.session.userId) : null;
+  if (user && user.is_active) {
+    res.json({ success: true, authenticated: true, user: publicUser(user) });
   } else {
     res.json({ success: true, authenticated: false });
   }
 });
 
+// Change own password
+router.put('/password',
+  isAuthenticated,
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  body('new_password').isLength({ min: MIN_PASSWORD_LENGTH }).withMessage(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      if (!(await verifyPassword(req.body.current_password, req.user.password_hash))) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+      }
+
+      userModel.update(req.user.id, { password_hash: await hashPassword(req.body.new_password) });
+      res.json({ success: true, message: 'Password changed' });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,129 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { waManager } from '../index.js';
+import { deviceModel, autoReplyRuleModel, logModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+import { chatTypeOf } from '../utils/webhook-filters.js';
+import { MATCH_TYPES, normalizeRule } from '../services/auto-responder.js';
+
+// Mounted under /api/devices/:id/auto-replies
+const router = express.Router({ mergeParams: true });
+
+const ruleValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Name is required'),
+  (isUpdate ? body('match_type').optional() : body('match_type'))
+    .isIn(MATCH_TYPES).withMessage(`match_type must be one of: ${MATCH_TYPES.join(', ')}`),
+  body('pattern').optional({ values: 'null' }).isString(),
+  body('enabled').optional().isBoolean(),
+  body('priority').optional().isInt().withMessage('priority must be an integer').toInt(),
+  body('case_sensitive').optional().isBoolean(),
+  body('chat_types').optional({ values: 'null' }).isArray().withMessage('chat_types must be an array'),
+  body('time_window').optional({ values: 'null' }).isObject().withMessage('time_window must be an object'),
+  body('reply_text').optional({ values: 'null' }).isString(),
+  body('reply_media_url').optional({ values: 'falsy' }).isURL().withMessage('reply_media_url must be a valid URL'),
+  body('reply_quote').optional().isBoolean(),
+  body('cooldown_seconds').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('cooldown_seconds must be 0 or more').toInt(),
+  body('stop_processing').optional().isBoolean()
+];
+
+function requireDevice(req) {
+  const device = deviceModel.findById(req.params.id);
+  if (!device) {
+    throw notFound('Device not found');
+  }
+  return device;
+}
+
+function findRule(req) {
+  const rule = autoReplyRuleModel.findById(req.params.id, req.params.ruleId);
+  if (!rule) {
+    throw notFound('Rule not found');
+  }
+  return rule;
+}
+
+// List rules in evaluation order
+router.get('/', handle(req => {
+  requireDevice(req);
+  return autoReplyRuleModel.findByDevice(req.params.id);
+}));
+
+// Create rule
+router.post('/', ...ruleValidators(false), handle(req => {
+  const device = requireDevice(req);
+  const rule = autoReplyRuleModel.create({
+    id: uuidv4(),
+    device_id: device.id,
+    ...normalizeRule(req.body)
+  });
+
+  logModel.create(device.id, 'info', `Auto-reply rule ${rule.name} added`);
+  return rule;
+}, { status: 201 }));
+
+// Which rules a sample message would trigger right now and what they'd send; cooldowns are ignored and nothing is sent
+router.post('/test',
+  body('message').isString().withMessage('message is required'),
+  body('from').optional().isString(),
+  body('first_message').optional().isBoolean(),
+  handle(req => {
+    const device = requireDevice(req);
+    const from = req.body.from ? normalizeChatId(req.body.from, deviceCountryCode(device), ['user', 'group']) : '628987654321@c.us';
+    const msg = {
+      id: { _serialized: `test-msg-${Date.now()}` },
+      from,
+      to: device.phone_number || '',
+      body: req.body.message,
+      type: 'chat',
+      timestamp: Math.floor(Date.now() / 1000),
+      _data: { notifyName: 'Test User' }
+    };
+    const context = {
+      body: msg.body,
+      chatType: chatTypeOf(from),
+      isFirstMessage: () => Boolean(req.body.first_message)
+    };
+
+    const matched = [];
+    let stopped = false;
+    for (const rule of autoReplyRuleModel.findEnabled(device.id)) {
+      if (!waManager.autoResponder.matches(rule, context)) {
+        continue;
+      }
+      matched.push({ id: rule.id, name: rule.name, actions: waManager.autoResponder.buildActions(rule, device, msg) });
+      if (rule.stop_processing) {
+        stopped = true;
+        break;
+      }
+    }
+    return { matched, forwarded_to_webhooks: !stopped };
+  })
+);
+
+router.get('/:ruleId', handle(req => findRule(req)));
+
+// Update rule
+router.put('/:ruleId', ...ruleValidators(true), handle(req => {
+  const device = requireDevice(req);
+  const rule = findRule(req);
+
+  const fields = normalizeRule(req.body, rule);
+  if (Object.keys(fields).length > 0) {
+    autoReplyRuleModel.update(rule.id, fields);
+  }
+  return autoReplyRuleModel.findById(device.id, rule.id);
+}));
+
+// Delete rule
+router.delete('/:ruleId', handle(req => {
+  const rule = findRule(req);
+  autoReplyRuleModel.delete(rule.id);
+
+  logModel.create(req.params.id, 'info', `Auto-reply rule ${rule.name} removed`);
+  return { id: rule.id };
+}));
+
+export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { waManager } from '../index.js';
+import { deviceModel, campaignModel, logModel } from '../models/database.js';
+import { uploadSingle } from '../middleware/upload.js';
+import { parseRecipients } from '../utils/recipients.js';
+import { parseChatId, deviceCountryCode } from '../utils/phone.js';
+import { compileTemplate } from '../utils/template.js';
+
+// Mounted under /api/devices/:id/campaigns
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.CAMPAIGN_INTERVAL_MS) || 5000;
+const DEFAULT_JITTER_MS = parseInt(process.env.CAMPAIGN_JITTER_MS) || 2000;
+
+function withProgress(campaign) {
+  const counts = campaignModel.countRecipients(campaign.id);
+  const done = (counts.sent || 0) + (counts.failed || 0) + (counts.skipped_invalid || 0) + (counts.cancelled || 0);
+  return {
+    ...campaign,
+    counts,
+    progress: campaign.total ? Math.round((done / campaign.total) * 100) : 100
+  };
+}
+
+function loadCampaign(req, res) {
+  const campaign = campaignModel.findById(req.params.id, req.params.campaignId);
+  if (!campaign) {
+    res.status(404).json({ success: false, message: 'Campaign not found' });
+  }
+  return campaign;
+}
+
+// List campaigns
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const campaigns = campaignModel.findByDevice(req.params.id, limit).map(withProgress);
+    res.json({ success: true, data: campaigns });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create campaign from a CSV/JSON upload, csv text or recipients array
+router.post('/',
+  uploadSingle('file'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('template').notEmpty().withMessage('Message template is required'),
+  body('interval_ms').optional().isInt({ min: 0 }).toInt(),
+  body('jitter_ms').optional().isInt({ min: 0 }).toInt(),
+  body('phone_column').optional().trim(),
+  body('csv').optional().isString(),
+  body('recipients').optional().isArray(),
+  body('start').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const device = deviceModel.findById(req.params.id);
+      if (!device) {
+        return res.status(404).json({ success: false, message: 'Device not found' });
+      }
+
+      try {
+        compileTemplate(req.body.template);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: `Invalid message template: ${error.message}`, details: { position: error.position } });
+      }
+
+      const fileText = req.file?.buffer.toString('utf8');
+      const isJsonFile = req.file && (req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname));
+
+      const parsed = parseRecipients({
+        records: req.body.recipients,
+        json: isJsonFile ? fileText : undefined,
+        csv: isJsonFile ? undefined : (fileText || req.body.csv),
+        phoneColumn: req.body.phone_column
+      });
+
+      const countryCode = deviceCountryCode(device);
+      const recipients = parsed.map(recipient => {
+        const chat = parseChatId(recipient.phone, countryCode);
+        return chat.error
+          ? { ...recipient, status: 'skipped_invalid', error: chat.error }
+          : { ...recipient, chat_id: chat.id };
+      });
+
+      const id = uuidv4();
+      campaignModel.create({
+        id,
+        device_id: device.id,
+        name: req.body.name,
+        template: req.body.template,
+        status: req.body.start ? 'running' : 'draft',
+        interval_ms: req.body.interval_ms ?? DEFAULT_INTERVAL_MS,
+        jitter_ms: req.body.jitter_ms ?? DEFAULT_JITTER_MS
+      }, recipients);
+
+      if (req.body.start) {
+        campaignModel.update(id, { started_at: Math.floor(Date.now() / 1000) });
+      }
+
+      const skipped = recipients.filter(recipient => recipient.status === 'skipped_invalid').length;
+      logModel.create(device.id, 'info', `Campaign "${req.body.name}" created with ${recipients.length} recipients (${skipped} invalid)`);
+
+      res.status(201).json({ success: true, data: withProgress(campaignModel.findById(device.id, id)) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Get campaign with progress
+router.get('/:campaignId', async (req, res) => {
+  try {
+    const campaign = loadCampaign(req, res);
+    if (!campaign) return;
+    res.json({ success: true, data: withProgress(campaign) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List campaign recipients
+router.get('/:campaignId/recipients', async (req, res) => {
+  try {
+    const campaign = loadCampaign(req, res);
+    if (!campaign) return;
+
+    const recipients = campaignModel.findRecipients(campaign.id, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ success: true, data: recipients });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Start or resume campaign
+const resume = (fromStatuses, verb) => async (req, res) => {
+  try {
+    const campaign = loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!fromStatuses.includes(campaign.status)) {
+      return res.status(409).json({ success: false, message: `Campaign is ${campaign.status} and cannot be ${verb}` });
+    }
+
+    const updates = { status: 'running' };
+    if (!campaign.started_at) {
+      updates.started_at = Math.floor(Date.now() / 1000);
+    }
+    campaignModel.update(campaign.id, updates);
+    logModel.create(campaign.device_id, 'info', `Campaign "${campaign.name}" ${verb}`);
+
+    res.json({ success: true, data: withProgress(campaignModel.findById(req.params.id, campaign.id)) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+router.post('/:campaignId/start', resume(['draft'], 'started'));
+router.post('/:campaignId/resume', resume(['paused'], 'resumed'));
+
+// Pause campaign (the message already in the queue still goes out)
+router.post('/:campaignId/pause', async (req, res) => {
+  try {
+    const campaign = loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status !== 'running') {
+      return res.status(409).json({ success: false, message: `Campaign is ${campaign.status} and cannot be paused` });
+    }
+
+    campaignModel.update(campaign.id, { status: 'paused' });
+    logModel.create(campaign.device_id, 'info', `Campaign "${campaign.name}" paused`);
+    res.json({ success: true, data: withProgress(campaignModel.findById(req.params.id, campaign.id)) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Cancel campaign
+router.post('/:campaignId/cancel', async (req, res) => {
+  try {
+    const campaign = loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      return res.status(409).json({ success: false, message: `Campaign is already ${campaign.status}` });
+    }
+
+    waManager.campaigns.cancel(campaign);
+    logModel.create(campaign.device_id, 'info', `Campaign "${campaign.name}" cancelled`);
+    res.json({ success: true, data: withProgress(campaignModel.findById(req.params.id, campaign.id)) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { waManager } from '../index.js';
+import { deviceModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+import { CHAT_MODES, MAX_HUMAN_MODE_TIMEOUT } from '../services/chat-modes.js';
+
+// Mounted under /api/devices/:id/chats; the chat list itself is GET /api/devices/:id/chats
+const router = express.Router({ mergeParams: true });
+
+function requireDevice(req) {
+  const device = deviceModel.findById(req.params.id);
+  if (!device) {
+    throw notFound('Device not found');
+  }
+  return device;
+}
+
+function chatParam(req, device) {
+  return normalizeChatId(req.params.chatId, deviceCountryCode(device), ['user', 'group']);
+}
+
+// Chats currently in human mode
+router.get('/modes', handle(req => {
+  const device = requireDevice(req);
+  return waManager.chatModes.list(device.id);
+}));
+
+router.get('/:chatId/mode', handle(req => {
+  const device = requireDevice(req);
+  return waManager.chatModes.get(device.id, chatParam(req, device));
+}));
+
+// Hand a chat to an agent (or extend their time) or give it back to the bot
+router.put('/:chatId/mode',
+  body('mode').isIn(CHAT_MODES).withMessage(`mode must be one of: ${CHAT_MODES.join(', ')}`),
+  body('timeout_seconds').optional({ values: 'null' }).isInt({ min: 60, max: MAX_HUMAN_MODE_TIMEOUT })
+    .withMessage(`timeout_seconds must be between 60 and ${MAX_HUMAN_MODE_TIMEOUT}`).toInt(),
+  handle(req => {
+    const device = requireDevice(req);
+    const chatId = chatParam(req, device);
+
+    if (req.body.mode === 'human') {
+      return waManager.chatModes.takeOver(device.id, chatId, { reason: 'api', timeoutSeconds: req.body.timeout_seconds });
+    }
+    waManager.chatModes.release(device.id, chatId);
+    return waManager.chatModes.get(device.id, chatId);
+  })
+);
+
+export default router;
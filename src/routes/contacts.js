@@ -0,0 +1,26 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { waManager } from '../index.js';
+import { handle } from '../middleware/handle.js';
+
+// Mounted under /api/devices/:id/contacts
+const router = express.Router({ mergeParams: true });
+
+// List the device's contacts
+router.get('/', handle(req => waManager.contacts.listContacts(req.params.id)));
+
+// Check whether numbers are registered on WhatsApp
+router.post('/check',
+  body('numbers').isArray({ min: 1 }).withMessage('numbers must be a non-empty array'),
+  handle(req => waManager.contacts.checkNumbers(req.params.id, req.body.numbers))
+);
+
+router.get('/check/:number', handle(req => waManager.contacts.checkNumber(req.params.id, req.params.number)));
+
+// Contact profile: name, about, profile picture and business flag
+router.get('/:contactId', handle(req => waManager.contacts.getProfile(req.params.id, req.params.contactId)));
+
+router.post('/:contactId/block', handle(req => waManager.contacts.setBlocked(req.params.id, req.params.contactId, true)));
+router.post('/:contactId/unblock', handle(req => waManager.contacts.setBlocked(req.params.id, req.params.contactId, false)));
+
+export default router;
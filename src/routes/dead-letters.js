@@ -0,0 +1,62 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { waManager } from '../index.js';
+import { deviceModel, deadLetterModel, webhookRetryModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+import { MAX_BULK_REPLAY } from '../services/webhook-dispatcher.js';
+
+// Mounted under /api/devices/:id/dead-letters
+const router = express.Router({ mergeParams: true });
+
+function requireDevice(req) {
+  if (!deviceModel.findById(req.params.id)) {
+    throw notFound('Device not found');
+  }
+}
+
+// List dead letters
+router.get('/', handle(req => {
+  requireDevice(req);
+  return deadLetterModel.findByDevice(req.params.id, {
+    event: req.query.event,
+    limit: parseInt(req.query.limit) || 100
+  });
+}));
+
+// Deliveries still waiting for a retry
+router.get('/pending', handle(req => {
+  requireDevice(req);
+  return webhookRetryModel.findByDevice(req.params.id, parseInt(req.query.limit) || 100);
+}));
+
+// Replay several dead letters (all of them when no ids are given)
+router.post('/replay',
+  body('ids').optional().isArray({ min: 1, max: MAX_BULK_REPLAY }).withMessage(`ids must be an array of 1-${MAX_BULK_REPLAY} dead letter ids`),
+  handle(req => {
+    requireDevice(req);
+    return waManager.webhooks.replayMany(req.params.id, req.body.ids);
+  })
+);
+
+router.get('/:letterId', handle(req => {
+  const letter = deadLetterModel.findById(req.params.id, req.params.letterId);
+  if (!letter) {
+    throw notFound('Dead letter not found');
+  }
+  return letter;
+}));
+
+router.post('/:letterId/replay', handle(req => waManager.webhooks.replay(req.params.id, req.params.letterId)));
+
+// Discard a dead letter
+router.delete('/:letterId', handle(req => {
+  const letter = deadLetterModel.findById(req.params.id, req.params.letterId);
+  if (!letter) {
+    throw notFound('Dead letter not found');
+  }
+  deadLetterModel.delete(letter.id);
+  return { id: letter.id };
+}));
+
+export default router;
@@ -3,9 +3,35 @@ import { body, validationResult } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
 import { isAuthenticated } from './auth.js';
+import { requirePermission, requireForWrites, requireDeviceAccess } from '../middleware/permissions.js';
 import { waManager } from '../index.js';
-import { deviceModel, messageModel, statsModel, logModel } from '../models/database.js';
+import { deviceModel, messageModel, statsModel, logModel, mediaModel, queueModel, ackModel } from '../models/database.js';
 import rateLimit from 'express-rate-limit';
+import path from 'path';
+import fs from 'fs';
+import { buildMessageMedia } from '../utils/media.js';
+import { uploadSingle } from '../middleware/upload.js';
+import { isValidCountryCode } from '../utils/phone.js';
+import { can, canAccessDevice } from '../utils/permissions.js';
+import { WEBHOOK_EVENTS } from '../utils/webhook-events.js';
+import { normalizeAuth, normalizeHeaders, deviceWebhookTarget, buildWebhookRequest } from '../utils/webhook-request.js';
+import { renderJsonTemplate } from '../utils/template.js';
+import { sampleMessageVariables, validateWebhookTemplate } from '../utils/webhook-template.js';
+import { normalizeBusinessHours } from '../utils/business-hours.js';
+import { normalizeReplyGuard } from '../services/reply-guard.js';
+import { MAX_HUMAN_MODE_TIMEOUT } from '../services/chat-modes.js';
+import { removeDeviceMedia, verifyMediaSignature } from '../services/media-store.js';
+import scheduleRoutes from './schedules.js';
+import campaignRoutes from './campaigns.js';
+import groupRoutes from './groups.js';
+import contactRoutes from './contacts.js';
+import deadLetterRoutes from './dead-letters.js';
+import webhookRoutes, { webhookRequestValidators } from './webhooks.js';
+import webhookDeliveryRoutes from './webhook-deliveries.js';
+import autoReplyRoutes from './auto-replies.js';
+import flowRoutes from './flows.js';
+import replyGuardRoutes from './reply-guard.js';
+import chatRoutes from './chats.js';
 
 const router = express.Router();
 
@@ -16,12 +42,58 @@ const limiter = rateLimit({
 });
 
 router.use(limiter);
-router.use(isAuthenticated);
 
-// Get all devices
+function sendStoredMedia(req, res) {
+  try {
+    const media = mediaModel.findById(req.params.id, req.params.mediaId);
+    if (!media || !fs.existsSync(media.file_path)) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    res.type(media.mimetype || 'application/octet-stream');
+    if (media.filename) {
+      res.attachment(media.filename);
+    }
+    res.sendFile(path.resolve(media.file_path));
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
+// Webhook receivers have no session; the signed link from a webhook payload is enough to fetch that one file
+router.get('/:id/media/:mediaId', (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return next();
+  }
+  if (!verifyMediaSignature(req.params.id, req.params.mediaId, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired media link' });
+  }
+  sendStoredMedia(req, res);
+});
+
+router.use(isAuthenticated);
+router.use('/:id', requireDeviceAccess);
+
+// Device settings only admins change; the rest of PUT /:id (webhook and automation settings) is open to operators
+const DEVICE_ADMIN_FIELDS = ['name', 'default_country_code', 'queue_interval_ms', 'queue_jitter_ms'];
+
+// Sub-resources; every role can read them
+router.use('/:id/schedules', requireForWrites('messages:send'), scheduleRoutes);
+router.use('/:id/campaigns', requireForWrites('messages:send'), campaignRoutes);
+router.use('/:id/groups', requireForWrites('messages:send'), groupRoutes);
+router.use('/:id/contacts', requireForWrites('messages:send'), contactRoutes);
+router.use('/:id/dead-letters', requireForWrites('webhooks:manage'), deadLetterRoutes);
+router.use('/:id/webhooks', requireForWrites('webhooks:manage'), webhookRoutes);
+router.use('/:id/webhook-deliveries', requireForWrites('webhooks:manage'), webhookDeliveryRoutes);
+router.use('/:id/auto-replies', requireForWrites('webhooks:manage'), autoReplyRoutes);
+router.use('/:id/flows', requireForWrites('webhooks:manage'), flowRoutes);
+router.use('/:id/reply-guard', requireForWrites('webhooks:manage'), replyGuardRoutes);
+router.use('/:id/chats', requireForWrites('messages:send'), chatRoutes);
+
+// Get all devices the user can see
 router.get('/', async (req, res) => {
   try {
-    const devices = deviceModel.findAll();
+    const devices = deviceModel.findAll().filter(device => canAccessDevice(req.user, device.id));
     const devicesWithStatus = devices.map(device => waManager.getStatus(device.id));
     res.json({ success: true, data: devicesWithStatus });
   } catch (error) {
@@ -44,6 +116,7 @@ router.get('/:id', async (req, res) => {
 
 // Create device
 router.post('/',
+  requirePermission('devices:manage'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   async (req, res) => {
     try {
@@ -67,12 +140,26 @@ router.post('/',
 
 // Update device
 router.put('/:id',
+  requirePermission('webhooks:manage'),
   body('name').optional().trim().notEmpty(),
   body('webhook_url').optional().isURL(),
   body('webhook_enabled').optional().isBoolean(),
   body('webhook_response_enabled').optional().isBoolean(),
-  body('webhook_body_template').optional(),
+  body('webhook_events').optional().isArray().withMessage('webhook_events must be an array'),
+  body('webhook_events.*').isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('webhook_body_template').optional({ values: 'null' }).isString(),
   body('webhook_response_path').optional().trim(),
+  body('webhook_media_mode').optional().isIn(['none', 'url', 'base64', 'both']),
+  body('webhook_media_max_size').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  ...webhookRequestValidators('webhook_'),
+  body('queue_interval_ms').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('queue_jitter_ms').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('default_country_code').optional({ values: 'falsy' }).custom(isValidCountryCode).withMessage('Country code must be 1-3 digits, e.g. 62'),
+  body('business_hours').optional({ values: 'null' }).isObject().withMessage('business_hours must be an object'),
+  body('reply_guard').optional({ values: 'null' }).isObject().withMessage('reply_guard must be an object'),
+  body('human_mode_timeout_seconds').optional({ values: 'null' }).isInt({ min: 60, max: MAX_HUMAN_MODE_TIMEOUT })
+    .withMessage(`human_mode_timeout_seconds must be between 60 and ${MAX_HUMAN_MODE_TIMEOUT}`).toInt(),
+  body('human_mode_on_agent_message').optional().isBoolean(),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -85,6 +172,11 @@ router.put('/:id',
         return res.status(404).json({ success: false, message: 'Device not found' });
       }
 
+      const adminFields = DEVICE_ADMIN_FIELDS.filter(field => req.body[field] !== undefined);
+      if (adminFields.length > 0 && !can(req.user, 'devices:manage')) {
+        return res.status(403).json({ success: false, message: `Permission denied: changing ${adminFields.join(', ')} requires devices:manage` });
+      }
+
       const updates = {};
       if (req.body.name) updates.name = req.body.name;
       if (req.body.webhook_url !== undefined) updates.webhook_url = req.body.webhook_url;
@@ -94,25 +186,105 @@ router.put('/:id',
       if (req.body.webhook_response_enabled !== undefined) {
         updates.webhook_response_enabled = req.body.webhook_response_enabled ? 1 : 0;
       }
+      if (req.body.webhook_events !== undefined) {
+        updates.webhook_events = JSON.stringify([...new Set(req.body.webhook_events)]);
+      }
       if (req.body.webhook_body_template !== undefined) {
-        updates.webhook_body_template = req.body.webhook_body_template;
+        const template = req.body.webhook_body_template?.trim() ? req.body.webhook_body_template : null;
+        if (template) {
+          validateWebhookTemplate(template, device);
+        }
+        updates.webhook_body_template = template;
       }
       if (req.body.webhook_response_path !== undefined) {
         updates.webhook_response_path = req.body.webhook_response_path;
       }
+      if (req.body.webhook_media_mode !== undefined) {
+        updates.webhook_media_mode = req.body.webhook_media_mode;
+      }
+      if (req.body.webhook_media_max_size !== undefined) {
+        updates.webhook_media_max_size = req.body.webhook_media_max_size || null;
+      }
+      if (req.body.webhook_method !== undefined) {
+        updates.webhook_method = req.body.webhook_method;
+      }
+      if (req.body.webhook_content_type !== undefined) {
+        updates.webhook_content_type = req.body.webhook_content_type;
+      }
+      if (req.body.webhook_timeout_ms !== undefined) {
+        updates.webhook_timeout_ms = req.body.webhook_timeout_ms || null;
+      }
+      if (req.body.webhook_auth !== undefined) {
+        const auth = normalizeAuth(req.body.webhook_auth, device.webhook_auth);
+        updates.webhook_auth = auth ? JSON.stringify(auth) : null;
+      }
+      if (req.body.webhook_headers !== undefined) {
+        updates.webhook_headers = JSON.stringify(normalizeHeaders(req.body.webhook_headers, device.webhook_headers));
+      }
+      if (req.body.queue_interval_ms !== undefined) {
+        updates.queue_interval_ms = req.body.queue_interval_ms;
+      }
+      if (req.body.queue_jitter_ms !== undefined) {
+        updates.queue_jitter_ms = req.body.queue_jitter_ms;
+      }
+      if (req.body.default_country_code !== undefined) {
+        updates.default_country_code = req.body.default_country_code ? String(req.body.default_country_code).replace(/^\+/, '') : null;
+      }
+      if (req.body.business_hours !== undefined) {
+        updates.business_hours = req.body.business_hours ? JSON.stringify(normalizeBusinessHours(req.body.business_hours)) : null;
+      }
+      if (req.body.reply_guard !== undefined) {
+        // Ignore list numbers use the country code from this same request when it changes
+        updates.reply_guard = req.body.reply_guard ? JSON.stringify(normalizeReplyGuard(req.body.reply_guard, { ...device, ...updates })) : null;
+      }
+      if (req.body.human_mode_timeout_seconds !== undefined) {
+        updates.human_mode_timeout_seconds = req.body.human_mode_timeout_seconds || null;
+      }
+      if (req.body.human_mode_on_agent_message !== undefined) {
+        updates.human_mode_on_agent_message = req.body.human_mode_on_agent_message ? 1 : 0;
+      }
 
       deviceModel.update(req.params.id, updates);
-      const updated = deviceModel.findById(req.params.id);
+      const updated = waManager.getStatus(req.params.id);
 
       res.json({ success: true, data: updated });
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.status || 500).json({ success: false, message: error.message, ...(error.details && { details: error.details }) });
     }
   }
 );
 
+// Get the secret used to sign webhook requests
+router.get('/:id/webhook-secret', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const secret = deviceModel.getWebhookSecret(req.params.id);
+    if (!secret) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+    res.json({ success: true, data: { webhook_secret: secret } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Rotate the webhook secret; the old one stops working immediately
+router.post('/:id/webhook-secret/rotate', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const device = deviceModel.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    const secret = deviceModel.rotateWebhookSecret(device.id);
+    logModel.create(device.id, 'info', 'Webhook secret rotated');
+    res.json({ success: true, data: { webhook_secret: secret } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Delete device
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('devices:manage'), async (req, res) => {
   try {
     const device = deviceModel.findById(req.params.id);
     if (!device) {
@@ -120,6 +292,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     await waManager.disconnectDevice(req.params.id);
+    mediaModel.deleteByDevice(req.params.id);
+    removeDeviceMedia(req.params.id);
     deviceModel.delete(req.params.id);
 
     res.json({ success: true, message: 'Device deleted' });
@@ -129,7 +303,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get QR code
-router.get('/:id/qr', async (req, res) => {
+router.get('/:id/qr', requirePermission('devices:manage'), async (req, res) => {
   try {
     const device = deviceModel.findById(req.params.id);
     if (!device) {
@@ -149,7 +323,7 @@ router.get('/:id/qr', async (req, res) => {
 });
 
 // Restart device
-router.post('/:id/restart', async (req, res) => {
+router.post('/:id/restart', requirePermission('devices:manage'), async (req, res) => {
   try {
     const device = deviceModel.findById(req.params.id);
     if (!device) {
@@ -163,10 +337,12 @@ router.post('/:id/restart', async (req, res) => {
   }
 });
 
-// Send message
+// Send message; `as_agent: true` also puts the chat in human mode
 router.post('/:id/send',
+  requirePermission('messages:send'),
   body('to').trim().notEmpty().withMessage('Recipient is required'),
   body('message').trim().notEmpty().withMessage('Message is required'),
+  body('as_agent').optional().isBoolean().toBoolean(),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -174,16 +350,131 @@ router.post('/:id/send',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { to, message } = req.body;
-      const result = await waManager.sendMessage(req.params.id, to, message);
+      const { to, message, as_agent } = req.body;
+      const job = waManager.queue.enqueueText(req.params.id, to, message);
+      if (as_agent) {
+        waManager.chatModes.takeOver(req.params.id, job.to_number, { reason: 'agent_message' });
+      }
 
-      res.json({ success: true, data: { message_id: result.id._serialized } });
+      res.status(202).json({ success: true, data: { job_id: job.id, status: job.status } });
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.status || 500).json({ success: false, message: error.message });
     }
   }
 );
 
+// Send media message (multipart upload, base64 or URL)
+router.post('/:id/send-media',
+  requirePermission('messages:send'),
+  uploadSingle('file'),
+  body('to').trim().notEmpty().withMessage('Recipient is required'),
+  body('base64').optional().isString(),
+  body('url').optional().isURL().withMessage('Valid media URL is required'),
+  body('mimetype').optional().trim(),
+  body('filename').optional().trim(),
+  body('caption').optional().isString(),
+  body('as_document').optional().isBoolean().toBoolean(),
+  body('as_voice').optional().isBoolean().toBoolean(),
+  body('as_agent').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { to, base64, url, caption, as_document, as_voice, as_agent } = req.body;
+      const media = await buildMessageMedia({
+        buffer: req.file?.buffer,
+        base64,
+        url,
+        mimetype: req.body.mimetype || req.file?.mimetype,
+        filename: req.body.filename || req.file?.originalname
+      });
+
+      const job = waManager.queue.enqueueMedia(req.params.id, to, media, {
+        sendOptions: {
+          caption,
+          asDocument: as_document,
+          asVoice: as_voice
+        }
+      });
+      if (as_agent) {
+        waManager.chatModes.takeOver(req.params.id, job.to_number, { reason: 'agent_message' });
+      }
+
+      res.status(202).json({
+        success: true,
+        data: {
+          job_id: job.id,
+          status: job.status,
+          mimetype: media.mimetype,
+          size: media.filesize
+        }
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// List outbound queue
+router.get('/:id/queue', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const jobs = queueModel.findByDevice(req.params.id, { status: req.query.status, limit });
+    const summary = Object.fromEntries(queueModel.countByStatus(req.params.id).map(row => [row.status, row.count]));
+    res.json({ success: true, data: jobs, summary });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get queue job
+router.get('/:id/queue/:jobId', async (req, res) => {
+  try {
+    const job = queueModel.findById(req.params.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Cancel pending queue job
+router.post('/:id/queue/:jobId/cancel', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const job = queueModel.findById(req.params.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (!waManager.queue.cancel(req.params.id, req.params.jobId)) {
+      return res.status(409).json({ success: false, message: `Job is ${job.status} and cannot be cancelled` });
+    }
+    res.json({ success: true, data: queueModel.findById(req.params.id, req.params.jobId) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry failed or cancelled queue job
+router.post('/:id/queue/:jobId/retry', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const job = queueModel.findById(req.params.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (!waManager.queue.retry(req.params.id, req.params.jobId)) {
+      return res.status(409).json({ success: false, message: `Job is ${job.status} and cannot be retried` });
+    }
+    res.json({ success: true, data: queueModel.findById(req.params.id, req.params.jobId) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get chats
 router.get('/:id/chats', async (req, res) => {
   try {
@@ -205,6 +496,115 @@ router.get('/:id/messages', async (req, res) => {
   }
 });
 
+// Get single message with its ack history
+router.get('/:id/messages/:messageId', async (req, res) => {
+  try {
+    const message = messageModel.findByMessageId(req.params.id, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+    res.json({
+      success: true,
+      data: { ...message, acks: ackModel.findByMessage(req.params.id, req.params.messageId) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Quote-reply to a stored message (queued like /send)
+router.post('/:id/messages/:messageId/reply',
+  requirePermission('messages:send'),
+  body('message').trim().notEmpty().withMessage('Message is required'),
+  body('as_agent').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const job = waManager.messages.reply(req.params.id, req.params.messageId, req.body.message);
+      if (req.body.as_agent) {
+        waManager.chatModes.takeOver(req.params.id, job.to_number, { reason: 'agent_message' });
+      }
+      res.status(202).json({ success: true, data: { job_id: job.id, status: job.status } });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// React to a message (empty reaction removes it)
+router.post('/:id/messages/:messageId/react',
+  requirePermission('messages:send'),
+  body('reaction').isString().withMessage('Reaction must be an emoji or empty string'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const message = await waManager.messages.react(req.params.id, req.params.messageId, req.body.reaction);
+      res.json({ success: true, data: message });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Edit a sent message
+router.put('/:id/messages/:messageId',
+  requirePermission('messages:send'),
+  body('message').trim().notEmpty().withMessage('Message is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const message = await waManager.messages.edit(req.params.id, req.params.messageId, req.body.message);
+      res.json({ success: true, data: message });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Delete a sent message for everyone
+router.delete('/:id/messages/:messageId', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const message = await waManager.messages.revoke(req.params.id, req.params.messageId);
+    res.json({ success: true, data: message });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Forward a message to another chat
+router.post('/:id/messages/:messageId/forward',
+  requirePermission('messages:send'),
+  body('to').trim().notEmpty().withMessage('Recipient is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const message = await waManager.messages.forward(req.params.id, req.params.messageId, req.body.to);
+      res.status(201).json({ success: true, data: message });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Download stored media
+router.get('/:id/media/:mediaId', sendStoredMedia);
+
 // Get device stats
 router.get('/:id/stats', async (req, res) => {
   try {
@@ -228,8 +628,10 @@ router.get('/:id/logs', async (req, res) => {
 
 // Test webhook
 router.post('/:id/test-webhook',
+  requirePermission('webhooks:manage'),
   body('webhook_url').isURL().withMessage('Valid webhook URL is required'),
   body('body_template').optional(),
+  ...webhookRequestValidators(''),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -244,62 +646,40 @@ router.post('/:id/test-webhook',
 
       const { webhook_url, body_template } = req.body;
 
-      // Build test payload
-      const testVariables = {
-        device_id: device.id,
-        device_name: device.name,
-        device_phone: device.phone_number || "628123456789",
-        message_id: "test-msg-" + Date.now(),
-        from: "628987654321@c.us",
-        to: device.phone_number || "628123456789@c.us",
-        from_name: "Test User",
-        message: "This is a test message from WhatsApp Manager",
-        message_type: "chat",
-        timestamp: Math.floor(Date.now() / 1000),
-        is_group: false,
-        chat_name: "Test User",
-        has_media: false,
-        is_forwarded: false,
-        is_status: false,
-        broadcast: false
+      // Unsaved settings from the config form override the stored ones; masked secrets keep them
+      const target = {
+        ...deviceWebhookTarget(device),
+        url: webhook_url,
+        method: req.body.method ?? device.webhook_method,
+        content_type: req.body.content_type ?? device.webhook_content_type,
+        timeout_ms: req.body.timeout_ms ?? device.webhook_timeout_ms,
+        auth: req.body.auth !== undefined ? normalizeAuth(req.body.auth, device.webhook_auth) : device.webhook_auth,
+        headers: req.body.headers !== undefined ? normalizeHeaders(req.body.headers, device.webhook_headers) : device.webhook_headers
       };
 
-      let requestPayload;
-      
+      // Build test payload with the same engine as real deliveries
+      const testVariables = sampleMessageVariables(device);
+      let requestPayload = testVariables;
+
       if (body_template) {
         try {
-          // Build dynamic payload
-          let jsonString = body_template;
-          Object.keys(testVariables).forEach(key => {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            const value = testVariables[key];
-            if (typeof value === 'string') {
-              jsonString = jsonString.replace(regex, value);
-            } else {
-              jsonString = jsonString.replace(regex, String(value));
-            }
-          });
-          requestPayload = JSON.parse(jsonString);
+          requestPayload = renderJsonTemplate(body_template, testVariables);
         } catch (error) {
           logModel.create(device.id, 'error', `Webhook test failed - Invalid template: ${error.message}`);
           return res.status(400).json({ 
             success: false, 
             message: 'Invalid body template', 
-            error: error.message 
+            error: error.message,
+            position: error.position
           });
         }
-      } else {
-        requestPayload = testVariables;
       }
 
       logModel.create(device.id, 'info', `Testing webhook: ${webhook_url}`);
 
       try {
-        const axios = (await import('axios')).default;
-        const response = await axios.post(webhook_url, requestPayload, {
-          timeout: 10000,
-          headers: { 'Content-Type': 'application/json' }
-        });
+        // Signed and encoded like real deliveries so receivers can test their verification
+        const response = await axios.request(buildWebhookRequest(target, deviceModel.getWebhookSecret(device.id), requestPayload));
 
         logModel.create(device.id, 'info', `Webhook test successful: ${response.status}`);
 
@@ -326,7 +706,7 @@ router.post('/:id/test-webhook',
         });
       }
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.status || 500).json({ success: false, message: error.message });
     }
   }
 );
@@ -0,0 +1,153 @@
+import express from 'express';
+import { body, query, matchedData } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { db, deviceModel, flowModel, flowSessionModel, logModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { badRequest, notFound } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+import { FLOW_TRIGGER_TYPES, FLOW_EXPORT_VERSION, normalizeFlow, exportFlows } from '../services/flow-engine.js';
+
+// Mounted under /api/devices/:id/flows
+const router = express.Router({ mergeParams: true });
+
+const MAX_IMPORT_FLOWS = 100;
+const MAX_SESSION_TIMEOUT = 7 * 24 * 60 * 60;
+
+const flowValidators = (isUpdate, prefix = '') => [
+  (isUpdate ? body(`${prefix}name`).optional() : body(`${prefix}name`)).trim().notEmpty().withMessage('Name is required'),
+  (isUpdate ? body(`${prefix}trigger_type`).optional() : body(`${prefix}trigger_type`))
+    .isIn(FLOW_TRIGGER_TYPES).withMessage(`trigger_type must be one of: ${FLOW_TRIGGER_TYPES.join(', ')}`),
+  (isUpdate ? body(`${prefix}definition`).optional() : body(`${prefix}definition`))
+    .isObject().withMessage('definition must be an object with start and nodes'),
+  body(`${prefix}trigger_pattern`).optional({ values: 'null' }).isString(),
+  body(`${prefix}description`).optional({ values: 'null' }).isString(),
+  body(`${prefix}enabled`).optional().isBoolean(),
+  body(`${prefix}priority`).optional().isInt().withMessage('priority must be an integer').toInt(),
+  body(`${prefix}session_timeout_seconds`).optional({ values: 'null' }).isInt({ min: 30, max: MAX_SESSION_TIMEOUT })
+    .withMessage(`session_timeout_seconds must be between 30 and ${MAX_SESSION_TIMEOUT}`).toInt(),
+  body(`${prefix}forward_to_webhooks`).optional().isBoolean()
+];
+
+function requireDevice(req) {
+  const device = deviceModel.findById(req.params.id);
+  if (!device) {
+    throw notFound('Device not found');
+  }
+  return device;
+}
+
+function findFlow(req) {
+  const flow = flowModel.findById(req.params.id, req.params.flowId);
+  if (!flow) {
+    throw notFound('Flow not found');
+  }
+  return flow;
+}
+
+function contactParam(req, device) {
+  return normalizeChatId(req.params.contact, deviceCountryCode(device), ['user']);
+}
+
+// List flows in trigger order
+router.get('/', handle(req => {
+  requireDevice(req);
+  return flowModel.findByDevice(req.params.id);
+}));
+
+// Create flow
+router.post('/', ...flowValidators(false), handle(req => {
+  const device = requireDevice(req);
+  const flow = flowModel.create({
+    id: uuidv4(),
+    device_id: device.id,
+    ...normalizeFlow(req.body)
+  });
+
+  logModel.create(device.id, 'info', `Flow ${flow.name} added`);
+  return flow;
+}, { status: 201 }));
+
+// All flows of the device in the import format
+router.get('/export', handle(req => {
+  requireDevice(req);
+  return exportFlows(flowModel.findByDevice(req.params.id));
+}));
+
+// Add the flows of an export document as new flows; nothing is created unless every flow is valid
+router.post('/import',
+  body('version').optional().isInt({ min: 1, max: FLOW_EXPORT_VERSION }).withMessage(`version must be ${FLOW_EXPORT_VERSION}`),
+  body('flows').isArray({ min: 1, max: MAX_IMPORT_FLOWS }).withMessage(`flows must be an array of 1-${MAX_IMPORT_FLOWS} flows`),
+  ...flowValidators(false, 'flows.*.'),
+  handle(req => {
+    const device = requireDevice(req);
+    const flows = req.body.flows.map((input, index) => {
+      try {
+        return { id: uuidv4(), device_id: device.id, ...normalizeFlow(input) };
+      } catch (error) {
+        throw badRequest(`flows[${index}]: ${error.message}`, error.details);
+      }
+    });
+
+    const created = db.transaction(() => flows.map(flow => flowModel.create(flow)))();
+    logModel.create(device.id, 'info', `Imported ${created.length} flow(s)`);
+    return created;
+  }, { status: 201 })
+);
+
+// Contacts currently in a flow
+router.get('/sessions',
+  query('flow_id').optional().isString(),
+  handle(req => {
+    requireDevice(req);
+    const { flow_id: flowId } = matchedData(req, { locations: ['query'] });
+    return flowSessionModel.findByDevice(req.params.id, { flowId });
+  })
+);
+
+router.get('/sessions/:contact', handle(req => {
+  const device = requireDevice(req);
+  const session = flowSessionModel.find(device.id, contactParam(req, device));
+  if (!session) {
+    throw notFound('Contact is not in a flow');
+  }
+  return session;
+}));
+
+// Reset a contact: their next message is handled as if no flow had run
+router.delete('/sessions/:contact', handle(req => {
+  const device = requireDevice(req);
+  const contactId = contactParam(req, device);
+  if (!flowSessionModel.delete(device.id, contactId)) {
+    throw notFound('Contact is not in a flow');
+  }
+
+  logModel.create(device.id, 'info', `Flow session of ${contactId} reset`);
+  return { contact_id: contactId };
+}));
+
+router.get('/:flowId', handle(req => findFlow(req)));
+
+router.get('/:flowId/export', handle(req => exportFlows([findFlow(req)])));
+
+// Update flow; contacts waiting on a node that no longer exists are dropped on their next message
+router.put('/:flowId', ...flowValidators(true), handle(req => {
+  const device = requireDevice(req);
+  const flow = findFlow(req);
+
+  const fields = normalizeFlow(req.body, flow);
+  if (Object.keys(fields).length > 0) {
+    flowModel.update(flow.id, fields);
+  }
+  return flowModel.findById(device.id, flow.id);
+}));
+
+// Delete flow and its sessions
+router.delete('/:flowId', handle(req => {
+  const flow = findFlow(req);
+  flowModel.delete(flow.id);
+
+  logModel.create(req.params.id, 'info', `Flow ${flow.name} removed`);
+  return { id: flow.id };
+}));
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { waManager } from '../index.js';
+import { deviceModel, logModel } from '../models/database.js';
+import { handle as handleRoute } from '../middleware/handle.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+// Mounted under /api/devices/:id/groups
+const router = express.Router({ mergeParams: true });
+
+const participantsValidator = body('participants').isArray({ min: 1 }).withMessage('participants must be a non-empty array');
+
+function logFailure(req, error) {
+  if (req.method !== 'GET' && deviceModel.findById(req.params.id)) {
+    logModel.create(req.params.id, 'error', `Group operation ${req.method} ${req.path} failed: ${error.message}`);
+  }
+}
+
+const handle = (operation, options = {}) => handleRoute(operation, { ...options, onError: logFailure });
+
+// List groups
+router.get('/', handle(req => waManager.groups.listGroups(req.params.id)));
+
+// Create group
+router.post('/',
+  body('name').trim().notEmpty().withMessage('Group name is required'),
+  participantsValidator,
+  handle(req => waManager.groups.createGroup(req.params.id, req.body.name, req.body.participants), { status: 201 })
+);
+
+// Join group via invite code or link
+router.post('/join',
+  body('invite_code').trim().notEmpty().withMessage('invite_code is required'),
+  handle(req => waManager.groups.joinByInvite(req.params.id, req.body.invite_code))
+);
+
+// Group info with participants
+router.get('/:groupId', handle(req => waManager.groups.getInfo(req.params.id, req.params.groupId)));
+
+// Update subject and/or description
+router.put('/:groupId',
+  body('subject').optional().trim().notEmpty().withMessage('Subject cannot be empty'),
+  body('description').optional().isString(),
+  handle(req => waManager.groups.updateInfo(req.params.id, req.params.groupId, {
+    subject: req.body.subject,
+    description: req.body.description
+  }))
+);
+
+// List participants with admin flags
+router.get('/:groupId/participants', handle(async req => {
+  const group = await waManager.groups.getInfo(req.params.id, req.params.groupId);
+  return group.participants;
+}));
+
+router.post('/:groupId/participants/add', participantsValidator,
+  handle(req => waManager.groups.addParticipants(req.params.id, req.params.groupId, req.body.participants)));
+
+router.post('/:groupId/participants/remove', participantsValidator,
+  handle(req => waManager.groups.removeParticipants(req.params.id, req.params.groupId, req.body.participants)));
+
+router.post('/:groupId/participants/promote', participantsValidator,
+  handle(req => waManager.groups.promoteParticipants(req.params.id, req.params.groupId, req.body.participants)));
+
+router.post('/:groupId/participants/demote', participantsValidator,
+  handle(req => waManager.groups.demoteParticipants(req.params.id, req.params.groupId, req.body.participants)));
+
+// Invite link; anyone holding it can join, so reading it needs send rights
+router.get('/:groupId/invite', requirePermission('messages:send'), handle(req => waManager.groups.getInviteCode(req.params.id, req.params.groupId)));
+router.post('/:groupId/invite/revoke', handle(req => waManager.groups.revokeInvite(req.params.id, req.params.groupId)));
+
+// Leave group
+router.post('/:groupId/leave', handle(req => waManager.groups.leave(req.params.id, req.params.groupId)));
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { waManager } from '../index.js';
+import { deviceModel, replyGuardModel, logModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+// Mounted under /api/devices/:id/reply-guard; settings are changed through PUT /api/devices/:id
+const router = express.Router({ mergeParams: true });
+
+function requireDevice(req) {
+  const device = deviceModel.findById(req.params.id);
+  if (!device) {
+    throw notFound('Device not found');
+  }
+  return device;
+}
+
+// Effective settings and the contacts currently muted by loop detection
+router.get('/', handle(req => {
+  const device = requireDevice(req);
+  return {
+    settings: waManager.replyGuard.settings(device),
+    muted: replyGuardModel.findMuted(device.id)
+  };
+}));
+
+// Let automatic replies answer a muted contact again
+router.delete('/muted/:contact', handle(req => {
+  const device = requireDevice(req);
+  const contactId = normalizeChatId(req.params.contact, deviceCountryCode(device), ['user', 'group']);
+  if (!waManager.replyGuard.unmute(device.id, contactId)) {
+    throw notFound('Contact is not muted');
+  }
+
+  logModel.create(device.id, 'info', `Automatic replies to ${contactId} unmuted`);
+  return { contact_id: contactId };
+}));
+
+export default router;
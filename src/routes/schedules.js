@@ -0,0 +1,188 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { deviceModel, scheduleModel, logModel } from '../models/database.js';
+import {
+  DEFAULT_TIMEZONE,
+  RECURRENCES,
+  isValidTimezone,
+  validateCron,
+  parseSendAt,
+  computeNextRun
+} from '../utils/schedule-time.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+// Mounted under /api/devices/:id/schedules
+const router = express.Router({ mergeParams: true });
+
+const scheduleValidators = (isUpdate) => [
+  (isUpdate ? body('to').optional() : body('to')).trim().notEmpty().withMessage('Recipient is required'),
+  (isUpdate ? body('message').optional() : body('message')).trim().notEmpty().withMessage('Message is required'),
+  body('send_at').optional({ values: 'null' }).notEmpty().withMessage('send_at must be an ISO date or unix timestamp'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  body('recurrence').optional().isIn(RECURRENCES).withMessage(`Recurrence must be one of: ${RECURRENCES.join(', ')}`),
+  body('cron_expression').optional({ values: 'null' }).isString()
+];
+
+// Validate the merged schedule and work out when it runs next
+function resolveTiming(schedule) {
+  if (schedule.recurrence === 'cron') {
+    if (!schedule.cron_expression || !validateCron(schedule.cron_expression, schedule.timezone)) {
+      return { error: 'A valid cron_expression is required for cron recurrence' };
+    }
+  } else if (schedule.send_at === undefined || schedule.send_at === null) {
+    return { error: 'send_at is required' };
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const sendAt = schedule.send_at ?? nowSeconds;
+  const timing = { ...schedule, send_at: sendAt };
+
+  // One-off schedules in the past run right away; recurring ones start at the next occurrence
+  const nextRunAt = schedule.recurrence === 'none' ? sendAt : computeNextRun(timing, nowSeconds - 1);
+  return { sendAt, nextRunAt };
+}
+
+// List scheduled messages
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const schedules = scheduleModel.findByDevice(req.params.id, { status: req.query.status, limit });
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get scheduled message
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = scheduleModel.findById(req.params.id, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create scheduled message
+router.post('/',
+  ...scheduleValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const device = deviceModel.findById(req.params.id);
+      if (!device) {
+        return res.status(404).json({ success: false, message: 'Device not found' });
+      }
+
+      const timezone = req.body.timezone || DEFAULT_TIMEZONE;
+      const recurrence = req.body.recurrence || 'none';
+      const sendAt = req.body.send_at != null ? parseSendAt(req.body.send_at, timezone) : null;
+
+      const timing = resolveTiming({
+        send_at: sendAt,
+        timezone,
+        recurrence,
+        cron_expression: req.body.cron_expression
+      });
+      if (timing.error) {
+        return res.status(400).json({ success: false, message: timing.error });
+      }
+
+      const schedule = scheduleModel.create({
+        id: uuidv4(),
+        device_id: device.id,
+        to_number: normalizeChatId(req.body.to, deviceCountryCode(device)),
+        message: req.body.message,
+        send_at: timing.sendAt,
+        timezone,
+        recurrence,
+        cron_expression: recurrence === 'cron' ? req.body.cron_expression : null,
+        next_run_at: timing.nextRunAt
+      });
+
+      logModel.create(device.id, 'info', `Scheduled message created for ${schedule.to_number} (${recurrence})`);
+      res.status(201).json({ success: true, data: schedule });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Update scheduled message
+router.put('/:scheduleId',
+  ...scheduleValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const schedule = scheduleModel.findById(req.params.id, req.params.scheduleId);
+      if (!schedule) {
+        return res.status(404).json({ success: false, message: 'Schedule not found' });
+      }
+      if (schedule.status === 'cancelled') {
+        return res.status(409).json({ success: false, message: 'Cancelled schedules cannot be updated' });
+      }
+
+      const timezone = req.body.timezone || schedule.timezone;
+      const recurrence = req.body.recurrence || schedule.recurrence;
+      const cronExpression = req.body.cron_expression !== undefined ? req.body.cron_expression : schedule.cron_expression;
+      const sendAt = req.body.send_at != null ? parseSendAt(req.body.send_at, timezone) : schedule.send_at;
+
+      const timing = resolveTiming({ send_at: sendAt, timezone, recurrence, cron_expression: cronExpression });
+      if (timing.error) {
+        return res.status(400).json({ success: false, message: timing.error });
+      }
+
+      // Finished or failed schedules are only re-armed when their timing changes
+      const rearm = schedule.status === 'active' || req.body.send_at != null ||
+        req.body.recurrence !== undefined || req.body.cron_expression !== undefined;
+
+      const updates = {
+        send_at: timing.sendAt,
+        timezone,
+        recurrence,
+        cron_expression: recurrence === 'cron' ? cronExpression : null,
+        next_run_at: rearm ? timing.nextRunAt : schedule.next_run_at,
+        status: rearm && timing.nextRunAt ? 'active' : schedule.status
+      };
+      if (req.body.to !== undefined) {
+        updates.to_number = normalizeChatId(req.body.to, deviceCountryCode(deviceModel.findById(req.params.id)));
+      }
+      if (req.body.message !== undefined) updates.message = req.body.message;
+
+      scheduleModel.update(schedule.id, updates);
+      res.json({ success: true, data: scheduleModel.findById(req.params.id, schedule.id) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Cancel scheduled message
+router.post('/:scheduleId/cancel', async (req, res) => {
+  try {
+    const schedule = scheduleModel.findById(req.params.id, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+
+    scheduleModel.update(schedule.id, { status: 'cancelled', next_run_at: null });
+    logModel.create(req.params.id, 'info', `Scheduled message ${schedule.id} cancelled`);
+    res.json({ success: true, data: scheduleModel.findById(req.params.id, schedule.id) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
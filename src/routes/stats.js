@@ -1,15 +1,16 @@
 import express from 'express';
 import { isAuthenticated } from './auth.js';
-import { statsModel, logModel, deviceModel } from '../models/database.js';
+import { statsModel, logModel, deviceModel, scheduleModel } from '../models/database.js';
+import { deviceScope, canAccessDevice } from '../utils/permissions.js';
 
 const router = express.Router();
 router.use(isAuthenticated);
 
-// Global statistics
+// Statistics over the devices the user can see
 router.get('/', async (req, res) => {
   try {
-    const stats = statsModel.getGlobal();
-    const devices = deviceModel.findAll();
+    const stats = statsModel.getGlobal(deviceScope(req.user));
+    const devices = deviceModel.findAll().filter(device => canAccessDevice(req.user, device.id));
     
     const connectedDevices = devices.filter(d => d.status === 'connected').length;
     
@@ -29,11 +30,21 @@ router.get('/', async (req, res) => {
 router.get('/logs', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
-    const logs = logModel.findRecent(limit);
+    const logs = logModel.findRecent(limit, deviceScope(req.user));
     res.json({ success: true, data: logs });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Scheduled messages whose last run failed
+router.get('/schedule-failures', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({ success: true, data: scheduleModel.findFailed(limit, deviceScope(req.user)) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,113 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { isAuthenticated } from './auth.js';
+import { userModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { badRequest, conflict, notFound } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { ROLES } from '../utils/permissions.js';
+import { hashPassword, publicUser, normalizeUserDevices, MIN_PASSWORD_LENGTH } from '../services/users.js';
+
+// Mounted under /api/users; admins only
+const router = express.Router();
+
+router.use(isAuthenticated);
+router.use(requirePermission('users:manage'));
+
+const userValidators = (isUpdate) => [
+  ...(isUpdate ? [] : [
+    body('username').trim().matches(/^[A-Za-z0-9._-]{3,50}$/)
+      .withMessage('username must be 3-50 letters, digits, dots, dashes or underscores')
+  ]),
+  (isUpdate ? body('password').optional() : body('password'))
+    .isLength({ min: MIN_PASSWORD_LENGTH }).withMessage(`password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+  (isUpdate ? body('role').optional() : body('role'))
+    .isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  body('devices').optional({ values: 'null' }).isArray().withMessage('devices must be an array of device ids or null'),
+  body('is_active').optional().isBoolean()
+];
+
+function findUser(req) {
+  const user = userModel.findById(req.params.userId);
+  if (!user) {
+    throw notFound('User not found');
+  }
+  return user;
+}
+
+// Refuse changes that would leave nobody able to manage users
+function keepAnAdmin(user, remainsAdmin) {
+  if (user.role === 'admin' && user.is_active && !remainsAdmin && userModel.countActiveAdmins() <= 1) {
+    throw conflict('At least one active admin is required');
+  }
+}
+
+router.get('/', handle(() => userModel.findAll().map(publicUser)));
+
+router.post('/', ...userValidators(false), handle(async req => {
+  if (userModel.findByUsername(req.body.username)) {
+    throw conflict('Username is already taken');
+  }
+
+  const user = userModel.create({
+    id: uuidv4(),
+    username: req.body.username,
+    password_hash: await hashPassword(req.body.password),
+    role: req.body.role,
+    devices: normalizeUserDevices(req.body.devices, req.body.role),
+    is_active: req.body.is_active === undefined || req.body.is_active ? 1 : 0
+  });
+
+  logger.info(`User ${user.username} (${user.role}) created by ${req.user.username}`);
+  return publicUser(user);
+}, { status: 201 }));
+
+router.get('/:userId', handle(req => publicUser(findUser(req))));
+
+router.put('/:userId', ...userValidators(true), handle(async req => {
+  const user = findUser(req);
+  const role = req.body.role ?? user.role;
+  const isActive = req.body.is_active !== undefined ? Boolean(req.body.is_active) : Boolean(user.is_active);
+
+  if (user.id === req.user.id && (role !== 'admin' || !isActive)) {
+    throw badRequest('You cannot remove your own admin access');
+  }
+  keepAnAdmin(user, role === 'admin' && isActive);
+
+  const updates = {};
+  if (req.body.password !== undefined) {
+    updates.password_hash = await hashPassword(req.body.password);
+  }
+  if (req.body.role !== undefined) {
+    updates.role = role;
+  }
+  if (req.body.is_active !== undefined) {
+    updates.is_active = isActive ? 1 : 0;
+  }
+  // Becoming an admin clears the device list, since admins always see every device
+  if (req.body.devices !== undefined || req.body.role !== undefined) {
+    updates.devices = normalizeUserDevices(req.body.devices !== undefined ? req.body.devices : user.devices, role);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    userModel.update(user.id, updates);
+    logger.info(`User ${user.username} updated by ${req.user.username}`);
+  }
+  return publicUser(userModel.findById(user.id));
+}));
+
+router.delete('/:userId', handle(req => {
+  const user = findUser(req);
+  if (user.id === req.user.id) {
+    throw badRequest('You cannot delete your own account');
+  }
+  keepAnAdmin(user, false);
+
+  userModel.delete(user.id);
+  logger.info(`User ${user.username} deleted by ${req.user.username}`);
+  return { id: user.id };
+}));
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { query, matchedData } from 'express-validator';
+import { deviceModel, webhookDeliveryModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+
+// Mounted under /api/devices/:id/webhook-deliveries
+const router = express.Router({ mergeParams: true });
+
+const MAX_PAGE_SIZE = 200;
+
+function requireDevice(req) {
+  if (!deviceModel.findById(req.params.id)) {
+    throw notFound('Device not found');
+  }
+}
+
+// List delivery attempts, newest first
+router.get('/',
+  query('webhook_id').optional().isString(),
+  query('event').optional().isString(),
+  query('success').optional().isBoolean().toBoolean(),
+  query('status').optional().isInt({ min: 100, max: 599 }).toInt(),
+  query('since').optional().isInt({ min: 0 }).toInt(),
+  query('until').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  handle(req => {
+    requireDevice(req);
+    // Express 5 keeps req.query read-only, so the sanitized values come from matchedData
+    const filters = matchedData(req, { locations: ['query'] });
+    return webhookDeliveryModel.findByDevice(req.params.id, {
+      webhookId: filters.webhook_id,
+      event: filters.event,
+      success: filters.success,
+      status: filters.status,
+      since: filters.since,
+      until: filters.until,
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+  })
+);
+
+// Full attempt including request headers, request body and response body
+router.get('/:deliveryId', handle(req => {
+  const delivery = webhookDeliveryModel.findById(req.params.id, req.params.deliveryId);
+  if (!delivery) {
+    throw notFound('Delivery not found');
+  }
+  return delivery;
+}));
+
+export default router;
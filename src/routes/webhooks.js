@@ -0,0 +1,125 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { deviceModel, webhookModel, logModel } from '../models/database.js';
+import { handle } from '../middleware/handle.js';
+import { notFound } from '../utils/errors.js';
+import { deviceCountryCode } from '../utils/phone.js';
+import { normalizeFilters } from '../utils/webhook-filters.js';
+import { validateWebhookTemplate } from '../utils/webhook-template.js';
+import {
+  WEBHOOK_METHODS, WEBHOOK_CONTENT_TYPES, MIN_WEBHOOK_TIMEOUT_MS, MAX_WEBHOOK_TIMEOUT_MS,
+  normalizeAuth, normalizeHeaders, maskAuth, maskHeaders
+} from '../utils/webhook-request.js';
+
+// Mounted under /api/devices/:id/webhooks
+const router = express.Router({ mergeParams: true });
+
+// Request options shared with the device webhook (prefixed `webhook_`) and the test-webhook body
+export const webhookRequestValidators = (prefix) => [
+  body(`${prefix}method`).optional().isIn(WEBHOOK_METHODS).withMessage(`Method must be one of: ${WEBHOOK_METHODS.join(', ')}`),
+  body(`${prefix}content_type`).optional().isIn(WEBHOOK_CONTENT_TYPES).withMessage(`Content type must be one of: ${WEBHOOK_CONTENT_TYPES.join(', ')}`),
+  body(`${prefix}timeout_ms`).optional({ values: 'null' })
+    .isInt({ min: MIN_WEBHOOK_TIMEOUT_MS, max: MAX_WEBHOOK_TIMEOUT_MS }).withMessage(`Timeout must be between ${MIN_WEBHOOK_TIMEOUT_MS} and ${MAX_WEBHOOK_TIMEOUT_MS} ms`).toInt()
+];
+
+const webhookValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Name is required'),
+  (isUpdate ? body('url').optional() : body('url')).isURL().withMessage('Valid webhook URL is required'),
+  body('enabled').optional().isBoolean(),
+  body('body_template').optional({ values: 'null' }).isString(),
+  body('response_enabled').optional().isBoolean(),
+  body('response_path').optional({ values: 'null' }).isString().trim(),
+  body('filters').optional({ values: 'null' }).isObject().withMessage('filters must be an object'),
+  ...webhookRequestValidators('')
+];
+
+function requireDevice(req) {
+  const device = deviceModel.findById(req.params.id);
+  if (!device) {
+    throw notFound('Device not found');
+  }
+  return device;
+}
+
+function findWebhook(req) {
+  const webhook = webhookModel.findById(req.params.id, req.params.webhookId);
+  if (!webhook) {
+    throw notFound('Webhook not found');
+  }
+  return webhook;
+}
+
+// Secret auth and header values are never sent back
+function publicWebhook(webhook) {
+  return { ...webhook, auth: maskAuth(webhook.auth), headers: maskHeaders(webhook.headers) };
+}
+
+// Column values from the request body; only fields present are returned
+function webhookFields(req, device, stored = {}) {
+  const fields = {};
+  if (req.body.name !== undefined) fields.name = req.body.name;
+  if (req.body.url !== undefined) fields.url = req.body.url;
+  if (req.body.enabled !== undefined) fields.enabled = req.body.enabled ? 1 : 0;
+  if (req.body.body_template !== undefined) {
+    fields.body_template = req.body.body_template?.trim() ? req.body.body_template : null;
+    if (fields.body_template) {
+      validateWebhookTemplate(fields.body_template, device);
+    }
+  }
+  if (req.body.response_enabled !== undefined) fields.response_enabled = req.body.response_enabled ? 1 : 0;
+  if (req.body.response_path !== undefined) fields.response_path = req.body.response_path || null;
+  if (req.body.filters !== undefined) {
+    fields.filters = normalizeFilters(req.body.filters || {}, deviceCountryCode(device));
+  }
+  if (req.body.method !== undefined) fields.method = req.body.method;
+  if (req.body.content_type !== undefined) fields.content_type = req.body.content_type;
+  if (req.body.timeout_ms !== undefined) fields.timeout_ms = req.body.timeout_ms || null;
+  if (req.body.auth !== undefined) fields.auth = normalizeAuth(req.body.auth, stored.auth);
+  if (req.body.headers !== undefined) fields.headers = normalizeHeaders(req.body.headers, stored.headers);
+  return fields;
+}
+
+// List webhook endpoints
+router.get('/', handle(req => {
+  requireDevice(req);
+  return webhookModel.findByDevice(req.params.id).map(publicWebhook);
+}));
+
+// Create webhook endpoint
+router.post('/', ...webhookValidators(false), handle(req => {
+  const device = requireDevice(req);
+  const webhook = webhookModel.create({
+    id: uuidv4(),
+    device_id: device.id,
+    ...webhookFields(req, device)
+  });
+
+  logModel.create(device.id, 'info', `Webhook ${webhook.name} added: ${webhook.url}`);
+  return publicWebhook(webhook);
+}, { status: 201 }));
+
+router.get('/:webhookId', handle(req => publicWebhook(findWebhook(req))));
+
+// Update webhook endpoint
+router.put('/:webhookId', ...webhookValidators(true), handle(req => {
+  const device = requireDevice(req);
+  const webhook = findWebhook(req);
+
+  const fields = webhookFields(req, device, webhook);
+  if (Object.keys(fields).length > 0) {
+    webhookModel.update(webhook.id, fields);
+  }
+  return publicWebhook(webhookModel.findById(device.id, webhook.id));
+}));
+
+// Delete webhook endpoint; pending retries for it end up as dead letters
+router.delete('/:webhookId', handle(req => {
+  const webhook = findWebhook(req);
+  webhookModel.delete(webhook.id);
+
+  logModel.create(req.params.id, 'info', `Webhook ${webhook.name} removed`);
+  return { id: webhook.id };
+}));
+
+export default router;
@@ -0,0 +1,156 @@
+import { autoReplyRuleModel, messageModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+import { compileTemplate, renderText } from '../utils/template.js';
+import { CHAT_TYPES, chatTypeOf } from '../utils/webhook-filters.js';
+import { normalizeTimeWindow, isWithinTimeWindow } from '../utils/time-window.js';
+import { TEXT_MATCH_TYPES, validateTextPattern, matchesText } from '../utils/text-match.js';
+import { messageVariables } from '../utils/webhook-template.js';
+
+export const MATCH_TYPES = [...TEXT_MATCH_TYPES, 'first_message'];
+
+/**
+ * Validate rule fields from the API against the stored rule (for partial updates).
+ * Returns only the fields present in `input`, ready for the model.
+ */
+export function normalizeRule(input, existing = {}) {
+  const fields = {};
+  const merged = { ...existing, ...input };
+
+  if (input.name !== undefined) fields.name = input.name;
+  if (input.enabled !== undefined) fields.enabled = input.enabled ? 1 : 0;
+  if (input.priority !== undefined) fields.priority = input.priority;
+  if (input.match_type !== undefined) fields.match_type = input.match_type;
+  if (input.case_sensitive !== undefined) fields.case_sensitive = input.case_sensitive ? 1 : 0;
+  if (input.reply_quote !== undefined) fields.reply_quote = input.reply_quote ? 1 : 0;
+  if (input.cooldown_seconds !== undefined) fields.cooldown_seconds = input.cooldown_seconds || 0;
+  if (input.stop_processing !== undefined) fields.stop_processing = input.stop_processing ? 1 : 0;
+
+  if (merged.match_type === 'first_message') {
+    fields.pattern = null;
+  } else {
+    validateTextPattern(merged.match_type, merged.pattern);
+    if (input.pattern !== undefined) fields.pattern = merged.pattern;
+  }
+
+  if (input.chat_types !== undefined) {
+    const types = input.chat_types || [];
+    if (!Array.isArray(types) || types.some(type => !CHAT_TYPES.includes(type))) {
+      throw badRequest(`chat_types must only contain: ${CHAT_TYPES.join(', ')}`);
+    }
+    fields.chat_types = [...new Set(types)];
+  }
+
+  if (input.time_window !== undefined) {
+    fields.time_window = input.time_window ? normalizeTimeWindow(input.time_window) : null;
+  }
+
+  if (input.reply_text !== undefined) {
+    fields.reply_text = input.reply_text?.trim() ? input.reply_text : null;
+    if (fields.reply_text) {
+      try {
+        compileTemplate(fields.reply_text);
+      } catch (error) {
+        throw badRequest(`Invalid reply_text: ${error.message}`, { position: error.position });
+      }
+    }
+  }
+  if (input.reply_media_url !== undefined) {
+    fields.reply_media_url = input.reply_media_url || null;
+  }
+
+  const replyText = fields.reply_text !== undefined ? fields.reply_text : existing.reply_text;
+  const replyMedia = fields.reply_media_url !== undefined ? fields.reply_media_url : existing.reply_media_url;
+  if (!replyText && !replyMedia) {
+    throw badRequest('A rule needs reply_text, reply_media_url or both');
+  }
+
+  return fields;
+}
+
+/**
+ * Answers incoming messages from per-device rules without a webhook round trip. Enabled rules
+ * are checked in priority order (lowest first); every matching rule replies unless it is cooling
+ * down for that contact, and a match on a rule with `stop_processing` ends evaluation and keeps
+ * the message from being forwarded to webhooks.
+ */
+export class AutoResponder {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  // Returns true when a matched rule stops further processing
+  async process(deviceId, device, msg) {
+    try {
+      const rules = autoReplyRuleModel.findEnabled(deviceId);
+      if (rules.length === 0) {
+        return false;
+      }
+
+      const contactId = msg.author || msg.from;
+      let isFirstMessage;
+      const context = {
+        body: msg.body || '',
+        chatType: chatTypeOf(msg.from),
+        // Only counted when a first_message rule asks for it
+        isFirstMessage: () => (isFirstMessage ??= messageModel.countIncomingFrom(deviceId, msg.from) <= 1)
+      };
+
+      for (const rule of rules) {
+        if (!this.matches(rule, context)) {
+          continue;
+        }
+
+        autoReplyRuleModel.recordMatch(rule.id);
+        if (this.isCoolingDown(rule, contactId)) {
+          logger.info(`[${deviceId}] Auto-reply rule "${rule.name}" matched but is cooling down for ${contactId}`);
+        } else {
+          autoReplyRuleModel.recordReply(rule.id, contactId);
+          logModel.create(deviceId, 'info', `Auto-reply rule "${rule.name}" matched message from ${contactId}`);
+          await this.manager.responseActions.execute(deviceId, msg, this.buildActions(rule, device, msg));
+        }
+
+        if (rule.stop_processing) {
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      logger.error(`[${deviceId}] Auto-reply rules failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Auto-reply rules failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  matches(rule, { body, chatType, isFirstMessage }) {
+    if (rule.chat_types.length > 0 && !rule.chat_types.includes(chatType)) {
+      return false;
+    }
+    if (rule.time_window && !isWithinTimeWindow(rule.time_window)) {
+      return false;
+    }
+
+    return rule.match_type === 'first_message'
+      ? isFirstMessage()
+      : matchesText(rule.match_type, rule.pattern, body, Boolean(rule.case_sensitive));
+  }
+
+  isCoolingDown(rule, contactId) {
+    if (!rule.cooldown_seconds) {
+      return false;
+    }
+    const lastReplyAt = autoReplyRuleModel.lastReplyAt(rule.id, contactId);
+    return lastReplyAt !== null && Math.floor(Date.now() / 1000) - lastReplyAt < rule.cooldown_seconds;
+  }
+
+  // Reply text is a template over the same variables as webhook bodies; with media it becomes the caption
+  buildActions(rule, device, msg) {
+    const text = rule.reply_text ? renderText(rule.reply_text, messageVariables(device, msg)) : undefined;
+    const quote = Boolean(rule.reply_quote);
+
+    if (rule.reply_media_url) {
+      return [{ type: 'media', url: rule.reply_media_url, caption: text, quote }];
+    }
+    return [{ type: 'text', text, quote }];
+  }
+}
@@ -0,0 +1,52 @@
+import { DateTime } from 'luxon';
+import { awayNoticeModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { renderText } from '../utils/template.js';
+import { chatTypeOf } from '../utils/webhook-filters.js';
+import { isOpen, openedBetween } from '../utils/business-hours.js';
+import { messageVariables } from '../utils/webhook-template.js';
+
+const OPEN = { open: true, autoReplies: true, webhooks: true };
+
+/**
+ * Applies a device's business hours to incoming messages. Outside opening hours private chats get
+ * the away message once per closed period (again only after the business has opened in between),
+ * and the returned policy says whether auto-reply rules and webhook forwarding still run.
+ */
+export class AwayNotifier {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  // `reply: false` (from the reply guard) keeps the away message back but still returns the policy
+  async process(deviceId, device, msg, { reply = true } = {}) {
+    const hours = device.business_hours;
+    try {
+      if (isOpen(hours)) {
+        return OPEN;
+      }
+
+      if (reply && hours.away_message && chatTypeOf(msg.from) === 'private' && this.isFirstInClosedPeriod(deviceId, hours, msg.from)) {
+        awayNoticeModel.record(deviceId, msg.from);
+        const text = renderText(hours.away_message, messageVariables(device, msg));
+        await this.manager.responseActions.execute(deviceId, msg, [{ type: 'text', text }]);
+        logModel.create(deviceId, 'info', `Away message sent to ${msg.from}`);
+      }
+
+      return {
+        open: false,
+        autoReplies: hours.auto_replies_when_closed,
+        webhooks: hours.forward_webhooks_when_closed
+      };
+    } catch (error) {
+      logger.error(`[${deviceId}] Business hours check failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Business hours check failed: ${error.message}`);
+      return OPEN;
+    }
+  }
+
+  isFirstInClosedPeriod(deviceId, hours, contactId) {
+    const lastSentAt = awayNoticeModel.lastSentAt(deviceId, contactId);
+    return lastSentAt === null || openedBetween(hours, DateTime.fromSeconds(lastSentAt));
+  }
+}
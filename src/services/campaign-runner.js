@@ -0,0 +1,114 @@
+import { campaignModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { renderText } from '../utils/template.js';
+
+const CAMPAIGN_POLL_INTERVAL_MS = parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS) || 1000;
+
+/**
+ * Feeds running campaigns into the outbound queue one recipient at a time.
+ * The next recipient is only queued once the previous one has settled and the
+ * campaign's interval (plus jitter) has elapsed.
+ */
+export class CampaignRunner {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    this.nextSendAt = new Map();
+
+    manager.queue.on('sent', (job, sentMsg) => this.recordOutcome(job, {
+      status: 'sent',
+      message_id: sentMsg.id._serialized,
+      error: null
+    }));
+    manager.queue.on('failed', (job, error) => this.recordOutcome(job, { status: 'failed', error: error.message }));
+    manager.queue.on('cancelled', (job) => this.recordOutcome(job, { status: 'cancelled' }));
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), CAMPAIGN_POLL_INTERVAL_MS);
+    logger.info('Campaign runner started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  tick() {
+    try {
+      for (const campaign of campaignModel.findByStatus('running')) {
+        this.advance(campaign);
+      }
+    } catch (error) {
+      logger.error(`Campaign runner error: ${error.message}`);
+    }
+  }
+
+  advance(campaign) {
+    if (campaignModel.findInFlight(campaign.id)) {
+      return;
+    }
+    if (Date.now() < (this.nextSendAt.get(campaign.id) || 0)) {
+      return;
+    }
+
+    const recipient = campaignModel.findNextPending(campaign.id);
+    if (!recipient) {
+      this.complete(campaign);
+      return;
+    }
+
+    try {
+      const message = renderText(campaign.template, recipient.variables);
+      const job = this.manager.queue.enqueueText(campaign.device_id, recipient.chat_id || recipient.phone, message, {
+        source: 'campaign',
+        sourceRef: String(recipient.id)
+      });
+      campaignModel.updateRecipient(recipient.id, { status: 'queued', job_id: job.id });
+    } catch (error) {
+      campaignModel.updateRecipient(recipient.id, { status: 'failed', error: error.message });
+      logger.error(`[${campaign.device_id}] Campaign ${campaign.id} recipient ${recipient.phone} failed: ${error.message}`);
+    }
+
+    const jitter = Math.floor(Math.random() * (campaign.jitter_ms + 1));
+    this.nextSendAt.set(campaign.id, Date.now() + campaign.interval_ms + jitter);
+  }
+
+  complete(campaign) {
+    const counts = campaignModel.countRecipients(campaign.id);
+    campaignModel.update(campaign.id, { status: 'completed', completed_at: Math.floor(Date.now() / 1000) });
+    this.nextSendAt.delete(campaign.id);
+
+    const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+    logger.info(`[${campaign.device_id}] Campaign "${campaign.name}" completed: ${summary}`);
+    logModel.create(campaign.device_id, 'info', `Campaign "${campaign.name}" completed: ${summary}`);
+  }
+
+  recordOutcome(job, updates) {
+    if (job.source !== 'campaign' || !job.source_ref) {
+      return;
+    }
+
+    try {
+      const recipient = campaignModel.findRecipientById(parseInt(job.source_ref));
+      if (recipient && recipient.job_id === job.id) {
+        campaignModel.updateRecipient(recipient.id, updates);
+      }
+    } catch (error) {
+      logger.error(`Campaign outcome error: ${error.message}`);
+    }
+  }
+
+  // Cancel the in-flight job too so nothing else goes out for this campaign
+  cancel(campaign) {
+    campaignModel.cancel(campaign.id);
+    this.nextSendAt.delete(campaign.id);
+
+    const inFlight = campaignModel.findInFlight(campaign.id);
+    if (inFlight?.job_id) {
+      this.manager.queue.cancel(campaign.device_id, inFlight.job_id);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { chatModeModel, deviceModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+
+export const CHAT_MODES = ['bot', 'human'];
+export const DEFAULT_HUMAN_MODE_TIMEOUT = parseInt(process.env.HUMAN_MODE_TIMEOUT_SECONDS) || 1800;
+export const MAX_HUMAN_MODE_TIMEOUT = 7 * 24 * 60 * 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Per-chat human mode. While an agent has a chat, nothing answers it automatically (away
+ * message, flows, auto-reply rules, webhook replies); messages are still stored and forwarded
+ * to webhooks. Human mode starts from the API, when an agent sends a message (from the phone, or
+ * through the API with `as_agent`) or at a flow handoff, and ends after the chat has seen no
+ * agent activity for the timeout, or when released.
+ */
+export class ChatModes {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isHuman(deviceId, chatId) {
+    return Boolean(chatModeModel.find(deviceId, chatId));
+  }
+
+  // Current mode of a chat in the API's shape
+  get(deviceId, chatId) {
+    return describe(chatId, chatModeModel.find(deviceId, chatId));
+  }
+
+  list(deviceId) {
+    return chatModeModel.findByDevice(deviceId).map(row => describe(row.chat_id, row));
+  }
+
+  // Start human mode or extend it; `timeoutSeconds` falls back to the device setting
+  takeOver(deviceId, chatId, { reason, timeoutSeconds } = {}) {
+    const device = deviceModel.findById(deviceId);
+    const wasHuman = this.isHuman(deviceId, chatId);
+    const row = chatModeModel.save(deviceId, chatId, {
+      reason,
+      timeout_seconds: timeoutSeconds || device?.human_mode_timeout_seconds || DEFAULT_HUMAN_MODE_TIMEOUT
+    });
+
+    if (!wasHuman) {
+      this.changed(deviceId, chatId, 'human', reason, row.expires_at);
+    }
+    return describe(chatId, row);
+  }
+
+  // Agent activity in a chat: starts human mode when the device allows it, otherwise only extends an existing one
+  agentActivity(deviceId, chatId, reason) {
+    try {
+      const device = deviceModel.findById(deviceId);
+      if (device?.human_mode_on_agent_message || this.isHuman(deviceId, chatId)) {
+        this.takeOver(deviceId, chatId, { reason });
+      }
+    } catch (error) {
+      logger.error(`[${deviceId}] Failed to update chat mode for ${chatId}: ${error.message}`);
+    }
+  }
+
+  release(deviceId, chatId, reason = 'api') {
+    const released = chatModeModel.delete(deviceId, chatId);
+    if (released) {
+      this.changed(deviceId, chatId, 'bot', reason, null);
+    }
+    return released;
+  }
+
+  changed(deviceId, chatId, mode, reason, expiresAt) {
+    const message = mode === 'human'
+      ? `Chat ${chatId} switched to human mode (${reason})`
+      : `Chat ${chatId} returned to bot mode (${reason})`;
+    logger.info(`[${deviceId}] ${message}`);
+    logModel.create(deviceId, 'info', message);
+    this.manager.emitEvent(deviceId, 'chat_mode', { chat_id: chatId, mode, reason, expires_at: expiresAt });
+  }
+
+  // Hand expired chats back to the bot
+  sweep() {
+    try {
+      for (const row of chatModeModel.findExpired()) {
+        chatModeModel.deleteExpired(row.device_id, row.chat_id);
+        this.changed(row.device_id, row.chat_id, 'bot', 'inactivity', null);
+      }
+    } catch (error) {
+      logger.error(`Chat mode sweep failed: ${error.message}`);
+    }
+  }
+}
+
+function describe(chatId, row) {
+  return row
+    ? {
+      chat_id: chatId,
+      mode: 'human',
+      reason: row.reason,
+      started_at: row.started_at,
+      last_activity_at: row.last_activity_at,
+      timeout_seconds: row.timeout_seconds,
+      expires_at: row.expires_at
+    }
+    : { chat_id: chatId, mode: 'bot' };
+}
@@ -0,0 +1,161 @@
+import { deviceModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest, notFound } from '../utils/errors.js';
+import { parseChatId, normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+const CONTACT_CACHE_TTL_MS = parseInt(process.env.CONTACT_CACHE_TTL_MS) || 5 * 60 * 1000;
+export const MAX_NUMBER_CHECKS = parseInt(process.env.MAX_NUMBER_CHECKS) || 100;
+const CACHE_SWEEP_SIZE = 5000;
+
+function formatContact(contact) {
+  return {
+    id: contact.id._serialized,
+    number: contact.number,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    is_business: Boolean(contact.isBusiness),
+    is_enterprise: Boolean(contact.isEnterprise),
+    is_my_contact: Boolean(contact.isMyContact),
+    is_blocked: Boolean(contact.isBlocked)
+  };
+}
+
+/**
+ * Contact lookups on a device's whatsapp-web.js client. Registration checks and
+ * profiles are cached per device for a short while so bulk checks stay cheap.
+ */
+export class ContactManager {
+  constructor(manager) {
+    this.manager = manager;
+    this.cache = new Map();
+  }
+
+  async cached(key, load) {
+    const hit = this.cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) {
+      return hit.value;
+    }
+
+    const value = await load();
+    if (this.cache.size >= CACHE_SWEEP_SIZE) {
+      this.sweep();
+    }
+    this.cache.set(key, { value, expiresAt: Date.now() + CONTACT_CACHE_TTL_MS });
+    return value;
+  }
+
+  sweep() {
+    const time = Date.now();
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= time) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  invalidate(deviceId, contactId) {
+    this.cache.delete(`${deviceId}:profile:${contactId}`);
+  }
+
+  // Drop every cached entry of a device, e.g. when it disconnects
+  clearDevice(deviceId) {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${deviceId}:`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  countryCode(deviceId) {
+    return deviceCountryCode(deviceModel.findById(deviceId));
+  }
+
+  toContactId(deviceId, contactId) {
+    return normalizeChatId(contactId, this.countryCode(deviceId), ['user']);
+  }
+
+  async listContacts(deviceId) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const contacts = await client.getContacts();
+    return contacts
+      .filter(contact => contact.isUser && !contact.isGroup && !contact.isMe)
+      .map(formatContact);
+  }
+
+  async checkNumber(deviceId, number) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const input = String(number);
+    const chat = parseChatId(input, this.countryCode(deviceId));
+    if (chat.error || chat.type !== 'user') {
+      return { input, registered: false, wa_id: null, error: chat.error || 'Not a user id' };
+    }
+
+    const wid = await this.cached(`${deviceId}:number:${chat.id}`, async () => {
+      const numberId = await client.getNumberId(chat.id);
+      return numberId ? numberId._serialized : null;
+    });
+
+    return { input, registered: Boolean(wid), wa_id: wid };
+  }
+
+  // Checked one at a time so a large batch doesn't flood the browser page
+  async checkNumbers(deviceId, numbers) {
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      throw badRequest('numbers must be a non-empty array');
+    }
+    if (numbers.length > MAX_NUMBER_CHECKS) {
+      throw badRequest(`At most ${MAX_NUMBER_CHECKS} numbers can be checked per request`);
+    }
+
+    const results = [];
+    for (const number of numbers) {
+      results.push(await this.checkNumber(deviceId, number));
+    }
+    return results;
+  }
+
+  async getContact(deviceId, contactId) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const id = this.toContactId(deviceId, contactId);
+
+    try {
+      return await client.getContactById(id);
+    } catch {
+      throw notFound('Contact not found');
+    }
+  }
+
+  async getProfile(deviceId, contactId) {
+    const id = this.toContactId(deviceId, contactId);
+
+    return this.cached(`${deviceId}:profile:${id}`, async () => {
+      const contact = await this.getContact(deviceId, id);
+      const [about, profilePicUrl] = await Promise.all([
+        contact.getAbout().catch(() => null),
+        contact.getProfilePicUrl().catch(() => null)
+      ]);
+
+      return {
+        ...formatContact(contact),
+        about: about || null,
+        profile_pic_url: profilePicUrl || null
+      };
+    });
+  }
+
+  async setBlocked(deviceId, contactId, blocked) {
+    const contact = await this.getContact(deviceId, contactId);
+    if (blocked) {
+      await contact.block();
+    } else {
+      await contact.unblock();
+    }
+
+    this.invalidate(deviceId, contact.id._serialized);
+    const message = `${blocked ? 'Blocked' : 'Unblocked'} contact ${contact.id._serialized}`;
+    logger.info(`[${deviceId}] ${message}`);
+    logModel.create(deviceId, 'info', message);
+
+    return { ...formatContact(contact), is_blocked: blocked };
+  }
+}
@@ -0,0 +1,511 @@
+import { flowModel, flowSessionModel, messageModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+import { compileTemplate, renderText } from '../utils/template.js';
+import { chatTypeOf } from '../utils/webhook-filters.js';
+import { TEXT_MATCH_TYPES, validateTextPattern, matchesText } from '../utils/text-match.js';
+import { messageVariables } from '../utils/webhook-template.js';
+import { buildEnvelope } from '../utils/webhook-events.js';
+
+export const FLOW_TRIGGER_TYPES = [...TEXT_MATCH_TYPES, 'first_message', 'any'];
+export const FLOW_NODE_TYPES = ['message', 'wait', 'branch', 'webhook', 'handoff', 'end'];
+export const FLOW_EXPORT_VERSION = 1;
+export const DEFAULT_FLOW_SESSION_TIMEOUT = 1800;
+const MAX_NODES = 200;
+const MAX_BRANCH_OPTIONS = 50;
+// Nodes run for one incoming message; a backstop, since loops without a wait node are rejected on save
+const MAX_STEPS = 50;
+const SESSION_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const NODE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const VARIABLE_PATH = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function getPath(data, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+}
+
+// Nodes a node can continue to within the same run
+function nodeTargets(node) {
+  return [node.next, node.default, node.on_error, ...(node.options || []).map(option => option.next)].filter(Boolean);
+}
+
+// Ids along a loop that never reaches a wait node (which ends the run), or null
+function findLoopWithoutWait(nodes) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const done = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (path.includes(id)) {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+    if (done.has(id) || byId.get(id).type === 'wait') {
+      return null;
+    }
+
+    path.push(id);
+    for (const target of nodeTargets(byId.get(id))) {
+      const loop = visit(target);
+      if (loop) {
+        return loop;
+      }
+    }
+    path.pop();
+    done.add(id);
+    return null;
+  };
+
+  for (const node of nodes) {
+    const loop = visit(node.id);
+    if (loop) {
+      return loop;
+    }
+  }
+  return null;
+}
+
+function normalizeNode(node, field) {
+  if (!isObject(node)) {
+    throw badRequest(`${field} must be an object`);
+  }
+  if (typeof node.id !== 'string' || !NODE_ID.test(node.id)) {
+    throw badRequest(`${field}.id must be 1-64 letters, digits, _ or -`);
+  }
+  if (!FLOW_NODE_TYPES.includes(node.type)) {
+    throw badRequest(`${field}.type must be one of: ${FLOW_NODE_TYPES.join(', ')}`);
+  }
+
+  const text = (key) => {
+    if (node[key] === undefined || node[key] === null || node[key] === '') {
+      return null;
+    }
+    if (typeof node[key] !== 'string') {
+      throw badRequest(`${field}.${key} must be a string`);
+    }
+    try {
+      compileTemplate(node[key]);
+    } catch (error) {
+      throw badRequest(`Invalid ${field}.${key}: ${error.message}`, { position: error.position });
+    }
+    return node[key];
+  };
+  const variable = (key) => {
+    if (node[key] === undefined || node[key] === null) {
+      return null;
+    }
+    if (typeof node[key] !== 'string' || !VARIABLE_NAME.test(node[key])) {
+      throw badRequest(`${field}.${key} must be a variable name (letters, digits and _)`);
+    }
+    return node[key];
+  };
+
+  const normalized = { id: node.id, type: node.type };
+  switch (node.type) {
+    case 'message':
+      normalized.text = text('text');
+      normalized.media_url = node.media_url || null;
+      if (normalized.media_url && !isHttpUrl(normalized.media_url)) {
+        throw badRequest(`${field}.media_url must be an http(s) URL`);
+      }
+      if (!normalized.text && !normalized.media_url) {
+        throw badRequest(`${field} needs text, media_url or both`);
+      }
+      normalized.next = node.next ?? null;
+      break;
+    case 'wait':
+      normalized.save_as = variable('save_as');
+      normalized.next = node.next ?? null;
+      if (!normalized.next) {
+        throw badRequest(`${field}.next is required for wait nodes`);
+      }
+      break;
+    case 'branch': {
+      const input = node.input ?? 'input';
+      if (typeof input !== 'string' || !VARIABLE_PATH.test(input)) {
+        throw badRequest(`${field}.input must be a variable name or dotted path`);
+      }
+      if (!Array.isArray(node.options) || node.options.length === 0 || node.options.length > MAX_BRANCH_OPTIONS) {
+        throw badRequest(`${field}.options must be an array of 1-${MAX_BRANCH_OPTIONS} { match_type, value, next } entries`);
+      }
+      normalized.input = input;
+      normalized.options = node.options.map((option, index) => {
+        const optionField = `${field}.options[${index}]`;
+        const matchType = option?.match_type || 'exact';
+        if (!TEXT_MATCH_TYPES.includes(matchType)) {
+          throw badRequest(`${optionField}.match_type must be one of: ${TEXT_MATCH_TYPES.join(', ')}`);
+        }
+        validateTextPattern(matchType, option.value, `${optionField}.value`);
+        if (!option.next) {
+          throw badRequest(`${optionField}.next is required`);
+        }
+        return { match_type: matchType, value: option.value, next: option.next };
+      });
+      normalized.default = node.default ?? null;
+      if (!normalized.default) {
+        throw badRequest(`${field}.default is required for branch nodes`);
+      }
+      break;
+    }
+    case 'webhook':
+      if (!isHttpUrl(node.url)) {
+        throw badRequest(`${field}.url must be an http(s) URL`);
+      }
+      normalized.url = node.url;
+      normalized.save_as = variable('save_as');
+      normalized.reply = Boolean(node.reply);
+      normalized.reply_path = typeof node.reply_path === 'string' && node.reply_path.trim() ? node.reply_path.trim() : null;
+      normalized.next = node.next ?? null;
+      normalized.on_error = node.on_error ?? null;
+      break;
+    case 'handoff':
+    case 'end':
+      normalized.text = text('text');
+      break;
+  }
+  return normalized;
+}
+
+/**
+ * Validate a flow graph: `{ start, nodes: [{ id, type, ... }] }`. Node types:
+ * - message: `text` and/or `media_url`, then `next`
+ * - wait: stops until the contact replies, storing the reply as `input` (and `save_as`), then `next`
+ * - branch: first of `options` [{ match_type, value, next }] matching the `input` variable, else `default`
+ * - webhook: POSTs the session to `url`, optionally storing (`save_as`) or sending (`reply`) the response
+ * - handoff / end: optional `text`; handoff ends the flow and puts the chat in human mode
+ * A message or webhook node without `next` ends the flow. Loops must pass through a wait node,
+ * otherwise one incoming message would keep sending until MAX_STEPS.
+ */
+export function normalizeFlowDefinition(definition) {
+  if (!isObject(definition)) {
+    throw badRequest('definition must be an object with start and nodes');
+  }
+  if (!Array.isArray(definition.nodes) || definition.nodes.length === 0 || definition.nodes.length > MAX_NODES) {
+    throw badRequest(`definition.nodes must be an array of 1-${MAX_NODES} nodes`);
+  }
+
+  const nodes = definition.nodes.map((node, index) => normalizeNode(node, `definition.nodes[${index}]`));
+  const ids = new Set();
+  for (const node of nodes) {
+    if (ids.has(node.id)) {
+      throw badRequest(`Duplicate node id "${node.id}"`);
+    }
+    ids.add(node.id);
+  }
+
+  const start = definition.start ?? nodes[0].id;
+  if (!ids.has(start)) {
+    throw badRequest(`definition.start "${start}" is not a node id`);
+  }
+  for (const node of nodes) {
+    const missing = nodeTargets(node).find(target => !ids.has(target));
+    if (missing) {
+      throw badRequest(`Node "${node.id}" points to unknown node "${missing}"`);
+    }
+  }
+
+  const loop = findLoopWithoutWait(nodes);
+  if (loop) {
+    throw badRequest(`Nodes loop without a wait node: ${loop.map(id => `"${id}"`).join(' -> ')}`, { cycle: loop });
+  }
+
+  return { start, nodes };
+}
+
+/**
+ * Validate flow fields from the API against the stored flow (for partial updates).
+ * Returns only the fields present in `input`, ready for the model.
+ */
+export function normalizeFlow(input, existing = {}) {
+  const fields = {};
+  const merged = { ...existing, ...input };
+
+  if (input.name !== undefined) fields.name = input.name;
+  if (input.description !== undefined) fields.description = input.description || null;
+  if (input.enabled !== undefined) fields.enabled = input.enabled ? 1 : 0;
+  if (input.priority !== undefined) fields.priority = input.priority;
+  if (input.trigger_type !== undefined) fields.trigger_type = input.trigger_type;
+  if (input.session_timeout_seconds !== undefined) fields.session_timeout_seconds = input.session_timeout_seconds || DEFAULT_FLOW_SESSION_TIMEOUT;
+  if (input.forward_to_webhooks !== undefined) fields.forward_to_webhooks = input.forward_to_webhooks ? 1 : 0;
+
+  if (['first_message', 'any'].includes(merged.trigger_type)) {
+    fields.trigger_pattern = null;
+  } else {
+    validateTextPattern(merged.trigger_type, merged.trigger_pattern, 'trigger_pattern');
+    if (input.trigger_pattern !== undefined) fields.trigger_pattern = merged.trigger_pattern;
+  }
+
+  if (input.definition !== undefined) {
+    fields.definition = normalizeFlowDefinition(input.definition);
+  }
+
+  return fields;
+}
+
+// Portable form of flows, accepted back by the import endpoint
+export function exportFlows(flows) {
+  return {
+    version: FLOW_EXPORT_VERSION,
+    flows: flows.map(flow => ({
+      name: flow.name,
+      description: flow.description,
+      enabled: Boolean(flow.enabled),
+      priority: flow.priority,
+      trigger_type: flow.trigger_type,
+      trigger_pattern: flow.trigger_pattern,
+      session_timeout_seconds: flow.session_timeout_seconds,
+      forward_to_webhooks: Boolean(flow.forward_to_webhooks),
+      definition: flow.definition
+    }))
+  };
+}
+
+/**
+ * Runs multi-step conversations in private chats. A contact with an active session has each
+ * message fed to the node it is waiting on; otherwise the first enabled flow whose trigger
+ * matches (priority order) starts a new session. Sessions live in SQLite and expire after the
+ * flow's session timeout without a reply. Messages a flow consumes are not forwarded to webhooks
+ * unless the flow has `forward_to_webhooks`.
+ */
+export class FlowEngine {
+  constructor(manager) {
+    this.manager = manager;
+    this.locks = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.pruneSessions(), SESSION_PRUNE_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Returns true when a flow consumed the message
+  async process(deviceId, device, msg) {
+    if (chatTypeOf(msg.from) !== 'private') {
+      return false;
+    }
+
+    return this.withLock(`${deviceId}:${msg.from}`, async () => {
+      try {
+        const session = flowSessionModel.find(deviceId, msg.from);
+        if (session) {
+          return await this.resume(device, msg, session);
+        }
+
+        const flow = this.findTriggered(deviceId, msg);
+        return flow ? await this.begin(device, msg, flow) : false;
+      } catch (error) {
+        logger.error(`[${deviceId}] Flow processing failed: ${error.message}`);
+        logModel.create(deviceId, 'error', `Flow processing failed: ${error.message}`);
+        return false;
+      }
+    });
+  }
+
+  // Messages from one contact are handled one at a time so a quick double reply can't fork the session
+  withLock(key, task) {
+    const result = (this.locks.get(key) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    });
+    return result;
+  }
+
+  findTriggered(deviceId, msg) {
+    let isFirstMessage;
+    return flowModel.findEnabled(deviceId).find(flow => {
+      switch (flow.trigger_type) {
+        case 'any':
+          return true;
+        case 'first_message':
+          return (isFirstMessage ??= messageModel.countIncomingFrom(deviceId, msg.from) <= 1);
+        default:
+          return matchesText(flow.trigger_type, flow.trigger_pattern, msg.body);
+      }
+    });
+  }
+
+  async begin(device, msg, flow) {
+    flowModel.recordStart(flow.id);
+    logModel.create(device.id, 'info', `Flow "${flow.name}" started for ${msg.from}`);
+
+    const session = { variables: { input: msg.body || '' } };
+    await this.run(device, msg, flow, session, flow.definition.start);
+    return !flow.forward_to_webhooks;
+  }
+
+  async resume(device, msg, session) {
+    const flow = flowModel.findById(device.id, session.flow_id);
+    const node = flow?.definition.nodes.find(candidate => candidate.id === session.node_id);
+
+    // The flow was disabled or edited under the session; drop it and treat the message as new
+    if (!flow?.enabled || !node || session.status !== 'waiting' || node.type !== 'wait') {
+      flowSessionModel.delete(device.id, msg.from);
+      return false;
+    }
+
+    session.variables.input = msg.body || '';
+    if (node.save_as) {
+      session.variables[node.save_as] = msg.body || '';
+    }
+    await this.run(device, msg, flow, session, node.next);
+    return !flow.forward_to_webhooks;
+  }
+
+  // Runs nodes from `nodeId` until the flow waits for a reply, hands off or ends
+  async run(device, msg, flow, session, nodeId) {
+    const nodes = new Map(flow.definition.nodes.map(node => [node.id, node]));
+    let current = nodeId;
+
+    for (let step = 0; step < MAX_STEPS; step++) {
+      const node = current ? nodes.get(current) : null;
+      if (!node) {
+        this.finish(device.id, msg.from, flow);
+        return;
+      }
+
+      switch (node.type) {
+        case 'message':
+          await this.send(device, msg, node, session.variables);
+          current = node.next;
+          break;
+        case 'wait':
+          this.save(device.id, msg.from, flow, session, node.id, 'waiting');
+          return;
+        case 'branch':
+          current = this.branch(node, session.variables);
+          break;
+        case 'webhook':
+          current = await this.callWebhook(device, msg, flow, node, session.variables);
+          break;
+        case 'handoff':
+          await this.send(device, msg, node, session.variables);
+          this.finish(device.id, msg.from, flow);
+          // The chat stays in human mode, without flows or automatic replies, until an agent releases it or it goes quiet
+          this.manager.chatModes.takeOver(device.id, msg.from, { reason: 'flow_handoff' });
+          logModel.create(device.id, 'info', `Flow "${flow.name}" handed ${msg.from} off to a human`);
+          this.manager.emitEvent(device.id, 'flow_handoff', {
+            flow_id: flow.id,
+            flow_name: flow.name,
+            node_id: node.id,
+            contact: msg.from,
+            variables: session.variables
+          });
+          return;
+        case 'end':
+          await this.send(device, msg, node, session.variables);
+          this.finish(device.id, msg.from, flow);
+          return;
+      }
+    }
+
+    logger.warn(`[${device.id}] Flow "${flow.name}" ran ${MAX_STEPS} nodes without waiting for a reply`);
+    logModel.create(device.id, 'warn', `Flow "${flow.name}" stopped after ${MAX_STEPS} nodes without waiting for a reply`);
+    this.finish(device.id, msg.from, flow);
+  }
+
+  // Node text is a template over the message variables plus `vars` (the session variables) and `input`
+  async send(device, msg, node, variables) {
+    if (!node.text && !node.media_url) {
+      return;
+    }
+    const text = node.text
+      ? renderText(node.text, { ...messageVariables(device, msg), vars: variables, input: variables.input })
+      : undefined;
+    const actions = node.media_url
+      ? [{ type: 'media', url: node.media_url, caption: text }]
+      : [{ type: 'text', text }];
+    await this.manager.responseActions.execute(device.id, msg, actions);
+  }
+
+  branch(node, variables) {
+    const value = getPath(variables, node.input);
+    const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const option = node.options.find(candidate => matchesText(candidate.match_type, candidate.value, text));
+    return option ? option.next : node.default;
+  }
+
+  // Signed like other webhooks and kept in the delivery history, but not retried: the contact is waiting
+  async callWebhook(device, msg, flow, node, variables) {
+    const payload = buildEnvelope(device.id, 'flow_webhook', {
+      flow_id: flow.id,
+      flow_name: flow.name,
+      node_id: node.id,
+      contact: msg.from,
+      from_name: msg._data?.notifyName || msg.from.split('@')[0],
+      input: variables.input,
+      variables
+    });
+    const target = { id: null, url: node.url, method: 'POST', content_type: 'json', auth: null, headers: [] };
+    const result = await this.manager.webhooks.attempt(device, payload, target, { event: 'flow_webhook' });
+
+    if (!result.response) {
+      logModel.create(device.id, 'warn', `Flow "${flow.name}" webhook node ${node.id} failed: ${result.error}`);
+      if (node.save_as) {
+        variables[node.save_as] = null;
+      }
+      return node.on_error ?? node.next;
+    }
+
+    if (node.save_as) {
+      variables[node.save_as] = result.response.data ?? null;
+    }
+    if (node.reply) {
+      try {
+        const actions = this.manager.responseActions.fromResponse(device.id, result.response.data, node.reply_path);
+        await this.manager.responseActions.execute(device.id, msg, actions);
+      } catch (error) {
+        logModel.create(device.id, 'warn', `Flow "${flow.name}" webhook node ${node.id} reply ignored: ${error.message}`);
+      }
+    }
+    return node.next;
+  }
+
+  save(deviceId, contactId, flow, session, nodeId, status) {
+    flowSessionModel.save({
+      device_id: deviceId,
+      contact_id: contactId,
+      flow_id: flow.id,
+      node_id: nodeId,
+      status,
+      variables: session.variables,
+      started_at: session.started_at,
+      timeout_seconds: flow.session_timeout_seconds
+    });
+  }
+
+  finish(deviceId, contactId, flow) {
+    flowSessionModel.delete(deviceId, contactId);
+    logModel.create(deviceId, 'info', `Flow "${flow.name}" finished for ${contactId}`);
+  }
+
+  pruneSessions() {
+    try {
+      const removed = flowSessionModel.deleteExpired();
+      if (removed > 0) {
+        logger.info(`Removed ${removed} expired flow sessions`);
+      }
+    } catch (error) {
+      logger.error(`Flow session prune failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,227 @@
+import { deviceModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest, forbidden, notFound } from '../utils/errors.js';
+import { parseChatId, deviceCountryCode } from '../utils/phone.js';
+
+// Accept bare group ids as well as full "<id>@g.us" ids
+export function toGroupId(groupId) {
+  return groupId.includes('@') ? groupId : `${groupId}@g.us`;
+}
+
+function toParticipantIds(deviceId, participants) {
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw badRequest('participants must be a non-empty array');
+  }
+
+  const countryCode = deviceCountryCode(deviceModel.findById(deviceId));
+  const invalid = [];
+  const ids = participants.map(participant => {
+    const chat = parseChatId(participant, countryCode);
+    if (chat.error || chat.type !== 'user') {
+      invalid.push({ participant, reason: chat.error || `"${participant}" is not a user id` });
+      return null;
+    }
+    return chat.id;
+  });
+
+  if (invalid.length > 0) {
+    throw badRequest('Invalid participant numbers', { invalid });
+  }
+  return ids;
+}
+
+function formatParticipant(participant) {
+  return {
+    id: participant.id._serialized,
+    is_admin: Boolean(participant.isAdmin),
+    is_super_admin: Boolean(participant.isSuperAdmin)
+  };
+}
+
+function formatGroup(chat) {
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    description: chat.description || null,
+    owner: chat.owner?._serialized || null,
+    created_at: chat.createdAt ? Math.floor(chat.createdAt.getTime() / 1000) : null,
+    participants: (chat.participants || []).map(formatParticipant)
+  };
+}
+
+/**
+ * Group operations on top of a device's whatsapp-web.js client.
+ * Every change is written to the device log; failures surface as HttpErrors.
+ */
+export class GroupManager {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  async getGroup(deviceId, groupId) {
+    const client = this.manager.getConnectedClient(deviceId);
+
+    let chat;
+    try {
+      chat = await client.getChatById(toGroupId(groupId));
+    } catch {
+      throw notFound('Group not found');
+    }
+    if (!chat || !chat.isGroup) {
+      throw notFound('Group not found');
+    }
+    return chat;
+  }
+
+  async listGroups(deviceId) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const chats = await client.getChats();
+    return chats.filter(chat => chat.isGroup).map(chat => ({
+      id: chat.id._serialized,
+      name: chat.name,
+      participant_count: chat.participants?.length || 0,
+      unread_count: chat.unreadCount,
+      timestamp: chat.timestamp
+    }));
+  }
+
+  async getInfo(deviceId, groupId) {
+    return formatGroup(await this.getGroup(deviceId, groupId));
+  }
+
+  async createGroup(deviceId, name, participants) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const result = await client.createGroup(name, toParticipantIds(deviceId, participants));
+
+    // whatsapp-web.js reports failures as a plain string
+    if (typeof result === 'string') {
+      throw badRequest(result);
+    }
+
+    const participantResults = Object.entries(result.participants || {}).map(([id, outcome]) => ({
+      id,
+      status_code: outcome.statusCode,
+      message: outcome.message,
+      invite_sent: Boolean(outcome.isInviteV4Sent)
+    }));
+
+    this.log(deviceId, `Group "${name}" created (${result.gid._serialized})`);
+    return { id: result.gid._serialized, name: result.title || name, participants: participantResults };
+  }
+
+  async addParticipants(deviceId, groupId, participants) {
+    const chat = await this.getGroup(deviceId, groupId);
+    const ids = toParticipantIds(deviceId, participants);
+    this.requireAdmin(chat);
+
+    const result = await chat.addParticipants(ids);
+
+    if (typeof result === 'string') {
+      throw badRequest(result);
+    }
+
+    const results = Object.entries(result).map(([id, outcome]) => ({
+      id,
+      status_code: outcome.code,
+      message: outcome.message,
+      invite_sent: Boolean(outcome.isInviteV4Sent)
+    }));
+
+    const added = results.filter(item => item.status_code === 200).length;
+    this.log(deviceId, `Added ${added}/${results.length} participants to group ${chat.name}`);
+    return results;
+  }
+
+  async removeParticipants(deviceId, groupId, participants) {
+    return this.changeParticipants(deviceId, groupId, participants, 'removeParticipants', 'Removed');
+  }
+
+  async promoteParticipants(deviceId, groupId, participants) {
+    return this.changeParticipants(deviceId, groupId, participants, 'promoteParticipants', 'Promoted');
+  }
+
+  async demoteParticipants(deviceId, groupId, participants) {
+    return this.changeParticipants(deviceId, groupId, participants, 'demoteParticipants', 'Demoted');
+  }
+
+  async changeParticipants(deviceId, groupId, participants, method, verb) {
+    const chat = await this.getGroup(deviceId, groupId);
+    const ids = toParticipantIds(deviceId, participants);
+    this.requireAdmin(chat);
+
+    await chat[method](ids);
+    this.log(deviceId, `${verb} ${ids.length} participants in group ${chat.name}`);
+    return { participants: ids };
+  }
+
+  async updateInfo(deviceId, groupId, { subject, description }) {
+    const chat = await this.getGroup(deviceId, groupId);
+
+    if (subject !== undefined && !(await chat.setSubject(subject))) {
+      throw forbidden('Not allowed to change the group subject');
+    }
+    if (description !== undefined && !(await chat.setDescription(description))) {
+      throw forbidden('Not allowed to change the group description');
+    }
+
+    this.log(deviceId, `Group ${chat.id._serialized} info updated`);
+    return this.getInfo(deviceId, groupId);
+  }
+
+  async getInviteCode(deviceId, groupId) {
+    const chat = await this.getGroup(deviceId, groupId);
+    this.requireAdmin(chat);
+
+    const code = await chat.getInviteCode();
+    if (typeof code !== 'string') {
+      throw forbidden('Not allowed to read the invite link');
+    }
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async revokeInvite(deviceId, groupId) {
+    const chat = await this.getGroup(deviceId, groupId);
+    this.requireAdmin(chat);
+
+    const code = await chat.revokeInvite();
+    this.log(deviceId, `Invite link of group ${chat.name} revoked`);
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async joinByInvite(deviceId, inviteCode) {
+    const client = this.manager.getConnectedClient(deviceId);
+    // Allow the full link as well as the bare code
+    const code = inviteCode.replace(/^https?:\/\/chat\.whatsapp\.com\//, '').trim();
+
+    let groupId;
+    try {
+      groupId = await client.acceptInvite(code);
+    } catch (error) {
+      throw badRequest(`Could not join group: ${error.message}`);
+    }
+
+    this.log(deviceId, `Joined group ${groupId} via invite`);
+    return { id: groupId };
+  }
+
+  async leave(deviceId, groupId) {
+    const chat = await this.getGroup(deviceId, groupId);
+    await chat.leave();
+    this.log(deviceId, `Left group ${chat.name}`);
+    return { id: chat.id._serialized };
+  }
+
+  // Participants may be listed by LID, so an unknown own id is left to WhatsApp to reject
+  requireAdmin(chat) {
+    const ownId = chat.client?.info?.wid?._serialized;
+    const self = chat.participants.find(participant => participant.id._serialized === ownId);
+    if (self && !self.isAdmin && !self.isSuperAdmin) {
+      throw forbidden('Device is not an admin of this group');
+    }
+  }
+
+  log(deviceId, message) {
+    logger.info(`[${deviceId}] ${message}`);
+    logModel.create(deviceId, 'info', message);
+  }
+}
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { mediaModel, deviceModel } from '../models/database.js';
+
+export const MEDIA_PATH = process.env.MEDIA_PATH || './media';
+
+// Inline base64 cap used when a device has no explicit webhook_media_max_size
+export const DEFAULT_WEBHOOK_MEDIA_MAX_SIZE = parseInt(process.env.WEBHOOK_MEDIA_MAX_SIZE) || 5 * 1024 * 1024; // 5MB
+
+// How long a media link in a webhook payload stays valid
+export const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+
+function fileExtension(mimetype, filename) {
+  const fromName = filename ? path.extname(filename).toLowerCase() : '';
+  if (/^\.[a-z0-9]{1,10}$/.test(fromName)) {
+    return fromName;
+  }
+
+  const subtype = (mimetype || '').split('/')[1]?.split(';')[0] || '';
+  const cleaned = subtype.replace(/[^a-z0-9]/gi, '').toLowerCase().slice(0, 10);
+  return cleaned ? `.${cleaned}` : '';
+}
+
+/**
+ * Write a downloaded MessageMedia to the device's media directory and record it.
+ * Returns the stored media row.
+ */
+export function saveMedia(deviceId, messageRowId, waMessageId, media) {
+  const buffer = Buffer.from(media.data, 'base64');
+  const id = uuidv4();
+  const deviceDir = path.join(MEDIA_PATH, deviceId);
+
+  if (!fs.existsSync(deviceDir)) {
+    fs.mkdirSync(deviceDir, { recursive: true });
+  }
+
+  const filePath = path.join(deviceDir, `${id}${fileExtension(media.mimetype, media.filename)}`);
+  fs.writeFileSync(filePath, buffer);
+
+  const record = {
+    id,
+    device_id: deviceId,
+    message_ref: messageRowId,
+    message_id: waMessageId,
+    mimetype: media.mimetype,
+    size: buffer.length,
+    filename: media.filename || null,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    file_path: filePath
+  };
+
+  mediaModel.create(record);
+  return record;
+}
+
+export function readMediaBase64(record) {
+  return fs.readFileSync(record.file_path).toString('base64');
+}
+
+function mediaSignature(secret, deviceId, mediaId, expires) {
+  return crypto.createHmac('sha256', secret).update(`${deviceId}:${mediaId}:${expires}`).digest('hex');
+}
+
+/**
+ * Link for webhook payloads. Receivers have no session, so the link carries an expiry and an
+ * HMAC made with the device's webhook secret; rotating the secret invalidates outstanding links.
+ */
+export function mediaUrl(deviceId, mediaId) {
+  const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  const signature = mediaSignature(deviceModel.getWebhookSecret(deviceId), deviceId, mediaId, expires);
+  return `${baseUrl}/api/devices/${deviceId}/media/${mediaId}?expires=${expires}&signature=${signature}`;
+}
+
+export function verifyMediaSignature(deviceId, mediaId, expires, signature) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+    return false;
+  }
+  const secret = deviceModel.getWebhookSecret(deviceId);
+  if (!secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(mediaSignature(secret, deviceId, mediaId, expiresAt));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export function deleteMedia(record) {
+  fs.rmSync(record.file_path, { force: true });
+  mediaModel.delete(record.id);
+}
+
+export function removeDeviceMedia(deviceId) {
+  fs.rmSync(path.join(MEDIA_PATH, deviceId), { recursive: true, force: true });
+}
@@ -0,0 +1,127 @@
+import { v4 as uuidv4 } from 'uuid';
+import { deviceModel, messageModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest, notFound, conflict } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Actions on messages already stored in the `messages` table: reply, react, edit,
+ * revoke and forward. Each action is mirrored onto the stored history.
+ */
+export class MessageActions {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  findStored(deviceId, messageId) {
+    const stored = messageModel.findByMessageId(deviceId, messageId);
+    if (!stored) {
+      throw notFound('Message not found');
+    }
+    if (stored.is_revoked) {
+      throw conflict('Message has been deleted');
+    }
+    return stored;
+  }
+
+  async load(deviceId, messageId) {
+    const client = this.manager.getConnectedClient(deviceId);
+    const stored = this.findStored(deviceId, messageId);
+
+    const msg = await client.getMessageById(messageId);
+    if (!msg) {
+      throw notFound('Message is no longer available on the device');
+    }
+    return { stored, msg };
+  }
+
+  // Replies go through the outbound queue like any other send
+  reply(deviceId, messageId, text) {
+    const stored = this.findStored(deviceId, messageId);
+    const chatId = stored.direction === 'incoming' ? stored.from_number : stored.to_number;
+
+    return this.manager.queue.enqueueText(deviceId, chatId, text, {
+      sendOptions: { quotedMessageId: messageId },
+      source: 'reply',
+      sourceRef: messageId
+    });
+  }
+
+  // An empty reaction removes the previous one
+  async react(deviceId, messageId, reaction) {
+    const { msg } = await this.load(deviceId, messageId);
+    await msg.react(reaction);
+
+    messageModel.update(deviceId, messageId, { reaction: reaction || null });
+    this.log(deviceId, reaction ? `Reacted ${reaction} to message ${messageId}` : `Removed reaction from message ${messageId}`);
+    return messageModel.findByMessageId(deviceId, messageId);
+  }
+
+  async edit(deviceId, messageId, text) {
+    const { stored, msg } = await this.load(deviceId, messageId);
+    if (stored.direction !== 'outgoing') {
+      throw badRequest('Only messages sent by this device can be edited');
+    }
+
+    // whatsapp-web.js returns null when the edit window has passed or the message type can't be edited
+    const edited = await msg.edit(text);
+    if (!edited) {
+      throw conflict('Message can no longer be edited');
+    }
+
+    messageModel.update(deviceId, messageId, { message_body: text, is_edited: 1, edited_at: now() });
+    this.log(deviceId, `Edited message ${messageId}`);
+    return messageModel.findByMessageId(deviceId, messageId);
+  }
+
+  async revoke(deviceId, messageId) {
+    const { stored, msg } = await this.load(deviceId, messageId);
+    if (stored.direction !== 'outgoing') {
+      throw badRequest('Only messages sent by this device can be deleted for everyone');
+    }
+
+    await msg.delete(true);
+
+    messageModel.update(deviceId, messageId, { is_revoked: 1, revoked_at: now() });
+    this.log(deviceId, `Revoked message ${messageId}`);
+    return messageModel.findByMessageId(deviceId, messageId);
+  }
+
+  async forward(deviceId, messageId, to) {
+    const chatId = normalizeChatId(to, deviceCountryCode(deviceModel.findById(deviceId)));
+    const { stored, msg } = await this.load(deviceId, messageId);
+    const copy = await this.manager.trackSend(deviceId, msg.forward(chatId).then(() => this.recordForward(deviceId, stored, chatId)));
+
+    this.log(deviceId, `Forwarded message ${messageId} to ${chatId}`);
+    return copy;
+  }
+
+  // whatsapp-web.js doesn't return the forwarded message; its id is filled in once message_create sees it
+  recordForward(deviceId, stored, chatId) {
+    const copy = {
+      id: uuidv4(),
+      device_id: deviceId,
+      message_id: null,
+      from_number: stored.direction === 'outgoing' ? stored.from_number : stored.to_number,
+      to_number: chatId,
+      message_body: stored.message_body,
+      message_type: stored.message_type,
+      timestamp: now(),
+      direction: 'outgoing',
+      media_mimetype: stored.media_mimetype,
+      media_size: stored.media_size,
+      media_filename: stored.media_filename,
+      forwarded_from: stored.message_id,
+      source: 'api'
+    };
+    messageModel.create(copy);
+    return copy;
+  }
+
+  log(deviceId, message) {
+    logger.info(`[${deviceId}] ${message}`);
+    logModel.create(deviceId, 'info', message);
+  }
+}
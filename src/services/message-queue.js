@@ -0,0 +1,280 @@
+import { EventEmitter } from 'events';
+import pkg from 'whatsapp-web.js';
+const { MessageMedia } = pkg;
+import { v4 as uuidv4 } from 'uuid';
+import { deviceModel, queueModel, mediaModel, messageModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+import { saveMedia, readMediaBase64, deleteMedia } from './media-store.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const QUEUE_INTERVAL_MS = envInt('QUEUE_INTERVAL_MS', 3000);
+const QUEUE_JITTER_MS = envInt('QUEUE_JITTER_MS', 2000);
+const QUEUE_MAX_ATTEMPTS = envInt('QUEUE_MAX_ATTEMPTS', 5);
+const QUEUE_RETRY_BASE_MS = envInt('QUEUE_RETRY_BASE_MS', 5000);
+const QUEUE_RETRY_MAX_MS = envInt('QUEUE_RETRY_MAX_MS', 10 * 60 * 1000);
+const QUEUE_POLL_INTERVAL_MS = envInt('QUEUE_POLL_INTERVAL_MS', 2000);
+// Media of failed or cancelled jobs is kept this long so they can still be retried
+const QUEUE_MEDIA_RETENTION_HOURS = envInt('QUEUE_MEDIA_RETENTION_HOURS', 7 * 24);
+const MEDIA_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * SQLite-backed outbound queue. Each device gets at most one worker, which sends
+ * due jobs one at a time with a configurable interval plus random jitter.
+ *
+ * Emits 'sent' (job, sentMsg), 'retry' (job, error), 'failed' (job, error) and 'cancelled' (job).
+ */
+export class MessageQueue extends EventEmitter {
+  constructor(manager) {
+    super();
+    this.manager = manager;
+    this.workers = new Set();
+    this.pollTimer = null;
+    this.pruneTimer = null;
+    this.stopped = false;
+    // Every caller waiting on a job (see waitFor) adds its own listeners
+    this.setMaxListeners(0);
+  }
+
+  start() {
+    const recovered = queueModel.resetProcessing();
+    if (recovered > 0) {
+      logger.warn(`Queue: ${recovered} interrupted job(s) returned to pending`);
+    }
+
+    this.stopped = false;
+    this.pollTimer = setInterval(() => this.poll(), QUEUE_POLL_INTERVAL_MS);
+    this.pruneTimer = setInterval(() => this.pruneMedia(), MEDIA_PRUNE_INTERVAL_MS);
+    logger.info('Queue: worker started');
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  poll() {
+    try {
+      for (const deviceId of queueModel.findDevicesWithDueJobs()) {
+        this.wake(deviceId);
+      }
+    } catch (error) {
+      logger.error(`Queue poll error: ${error.message}`);
+    }
+  }
+
+  enqueue(deviceId, to, payload, options = {}) {
+    const device = deviceModel.findById(deviceId);
+    if (!device) {
+      throw notFound('Device not found');
+    }
+
+    const chatId = normalizeChatId(to, deviceCountryCode(device));
+    const job = queueModel.create({
+      id: uuidv4(),
+      device_id: deviceId,
+      to_number: chatId,
+      payload,
+      max_attempts: options.maxAttempts || QUEUE_MAX_ATTEMPTS,
+      source: options.source,
+      source_ref: options.sourceRef
+    });
+
+    logger.info(`[${deviceId}] Queued ${payload.type} message ${job.id} for ${chatId}`);
+    this.wake(deviceId);
+    return job;
+  }
+
+  enqueueText(deviceId, to, message, options = {}) {
+    return this.enqueue(deviceId, to, { type: 'text', message, options: options.sendOptions || {} }, options);
+  }
+
+  // Media is persisted to the media store so the job survives restarts
+  enqueueMedia(deviceId, to, media, options = {}) {
+    const device = deviceModel.findById(deviceId);
+    if (!device) {
+      throw notFound('Device not found');
+    }
+    // Reject bad recipients before the media is written to disk
+    normalizeChatId(to, deviceCountryCode(device));
+
+    const record = saveMedia(deviceId, null, null, media);
+    return this.enqueue(deviceId, to, {
+      type: 'media',
+      media_id: record.id,
+      options: options.sendOptions || {}
+    }, options);
+  }
+
+  /**
+   * Resolves with the sent message once the job is sent. Rejects when it fails permanently,
+   * is cancelled or is still not sent after `timeoutMs` (error code QUEUE_WAIT_TIMEOUT).
+   */
+  waitFor(jobId, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const listeners = {
+        sent: (job, sentMsg) => job.id === jobId && settle(() => resolve(sentMsg)),
+        failed: (job, error) => job.id === jobId && settle(() => reject(error)),
+        cancelled: (job) => job?.id === jobId && settle(() => reject(new Error('Queue job was cancelled')))
+      };
+      const timer = setTimeout(() => settle(() => {
+        reject(Object.assign(new Error(`Queue job ${jobId} not sent within ${Math.round(timeoutMs / 1000)}s`), { code: 'QUEUE_WAIT_TIMEOUT' }));
+      }), timeoutMs);
+      const settle = (finish) => {
+        clearTimeout(timer);
+        Object.entries(listeners).forEach(([event, listener]) => this.off(event, listener));
+        finish();
+      };
+      Object.entries(listeners).forEach(([event, listener]) => this.on(event, listener));
+    });
+  }
+
+  cancel(deviceId, jobId) {
+    const cancelled = queueModel.cancel(deviceId, jobId);
+    if (cancelled) {
+      this.emit('cancelled', queueModel.findById(deviceId, jobId));
+    }
+    return cancelled;
+  }
+
+  retry(deviceId, jobId) {
+    const retried = queueModel.retry(deviceId, jobId);
+    if (retried) {
+      this.wake(deviceId);
+    }
+    return retried;
+  }
+
+  isDeviceReady(deviceId) {
+    if (!this.manager.clients.has(deviceId)) {
+      return false;
+    }
+    const device = deviceModel.findById(deviceId);
+    return device?.status === 'connected';
+  }
+
+  wake(deviceId) {
+    if (this.stopped || this.workers.has(deviceId)) {
+      return;
+    }
+
+    this.workers.add(deviceId);
+    this.runWorker(deviceId)
+      .catch(error => logger.error(`[${deviceId}] Queue worker error: ${error.message}`))
+      .finally(() => this.workers.delete(deviceId));
+  }
+
+  async runWorker(deviceId) {
+    while (!this.stopped) {
+      // Jobs wait in the queue while the device is reconnecting
+      if (!this.isDeviceReady(deviceId)) {
+        return;
+      }
+
+      const job = queueModel.findNextDue(deviceId);
+      if (!job) {
+        return;
+      }
+
+      await this.processJob(job);
+      await sleep(this.nextDelay(deviceId));
+    }
+  }
+
+  nextDelay(deviceId) {
+    const device = deviceModel.findById(deviceId);
+    const interval = device?.queue_interval_ms ?? QUEUE_INTERVAL_MS;
+    const jitter = device?.queue_jitter_ms ?? QUEUE_JITTER_MS;
+    return interval + Math.floor(Math.random() * (jitter + 1));
+  }
+
+  async processJob(job) {
+    const { device_id: deviceId } = job;
+    queueModel.markProcessing(job.id);
+    const attempts = job.attempts + 1;
+
+    try {
+      const sentMsg = await this.deliver(job);
+      queueModel.markSent(job.id, sentMsg.id._serialized);
+      this.linkMedia(job, sentMsg);
+      this.emit('sent', { ...job, attempts, status: 'sent' }, sentMsg);
+    } catch (error) {
+      // Client-side errors (bad media reference, invalid input) will not succeed on retry
+      const permanent = error.status >= 400 && error.status < 500;
+
+      if (!permanent && attempts < job.max_attempts) {
+        const delay = Math.min(QUEUE_RETRY_BASE_MS * 2 ** (attempts - 1), QUEUE_RETRY_MAX_MS);
+        queueModel.markRetry(job.id, error.message, Math.floor((Date.now() + delay) / 1000));
+        logger.warn(`[${deviceId}] Queue job ${job.id} failed (attempt ${attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        this.emit('retry', { ...job, attempts, status: 'pending' }, error);
+      } else {
+        queueModel.markFailed(job.id, error.message);
+        logger.error(`[${deviceId}] Queue job ${job.id} failed permanently: ${error.message}`);
+        logModel.create(deviceId, 'error', `Queued message to ${job.to_number} failed after ${attempts} attempt(s): ${error.message}`);
+        this.emit('failed', { ...job, attempts, status: 'failed' }, error);
+      }
+    }
+  }
+
+  // Queued media becomes the sent message's attachment, like media of incoming messages
+  linkMedia(job, sentMsg) {
+    if (job.payload.type !== 'media') {
+      return;
+    }
+    try {
+      const message = messageModel.findByMessageId(job.device_id, sentMsg.id._serialized);
+      if (message) {
+        mediaModel.linkMessage(job.payload.media_id, message.id, message.message_id);
+      }
+    } catch (error) {
+      logger.error(`[${job.device_id}] Failed to link media of queue job ${job.id}: ${error.message}`);
+    }
+  }
+
+  // Remove media no job needs any more: unsent media of jobs that failed or were cancelled long ago
+  pruneMedia() {
+    try {
+      const before = Math.floor(Date.now() / 1000) - QUEUE_MEDIA_RETENTION_HOURS * 60 * 60;
+      const stale = mediaModel.findUnreferenced(before);
+      stale.forEach(deleteMedia);
+      if (stale.length > 0) {
+        logger.info(`Queue: removed ${stale.length} unused media file(s)`);
+      }
+    } catch (error) {
+      logger.error(`Queue media prune failed: ${error.message}`);
+    }
+  }
+
+  async deliver(job) {
+    const { payload } = job;
+
+    if (payload.type === 'text') {
+      return this.manager.sendMessage(job.device_id, job.to_number, payload.message, payload.options || {});
+    }
+
+    if (payload.type === 'media') {
+      const record = mediaModel.findById(job.device_id, payload.media_id);
+      if (!record) {
+        throw badRequest('Queued media no longer exists');
+      }
+      const media = new MessageMedia(record.mimetype, readMediaBase64(record), record.filename, record.size);
+      return this.manager.sendMedia(job.device_id, job.to_number, media, payload.options || {});
+    }
+
+    throw badRequest(`Unknown queue payload type: ${payload.type}`);
+  }
+}
@@ -0,0 +1,238 @@
+import { replyGuardModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+import { chatTypeOf } from '../utils/webhook-filters.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+export const GROUP_REPLY_MODES = ['always', 'mentioned', 'never'];
+const MAX_IGNORED = 1000;
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Used for devices without their own settings, so every device is guarded unless it opts out
+export const DEFAULT_REPLY_GUARD = {
+  enabled: true,
+  max_replies_per_contact: 10,
+  contact_window_seconds: 60,
+  max_replies_per_device: 300,
+  device_window_seconds: 3600,
+  loop_detection: true,
+  loop_max_exchanges: 8,
+  loop_interval_seconds: 15,
+  loop_mute_seconds: 3600,
+  group_replies: 'always',
+  ignore_broadcast: true,
+  ignore: []
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Validate a device's reply guard settings. Missing fields take the defaults; a limit of 0
+ * switches that limit off. `ignore` entries are numbers or group ids, stored as chat ids.
+ */
+export function normalizeReplyGuard(settings, device) {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw badRequest('reply_guard must be an object');
+  }
+
+  const merged = { ...DEFAULT_REPLY_GUARD, ...settings };
+  const integer = (key, min, max) => {
+    const value = merged[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw badRequest(`reply_guard.${key} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  if (!GROUP_REPLY_MODES.includes(merged.group_replies)) {
+    throw badRequest(`reply_guard.group_replies must be one of: ${GROUP_REPLY_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(merged.ignore) || merged.ignore.length > MAX_IGNORED || merged.ignore.some(entry => typeof entry !== 'string')) {
+    throw badRequest(`reply_guard.ignore must be an array of at most ${MAX_IGNORED} numbers or group ids`);
+  }
+
+  return {
+    enabled: Boolean(merged.enabled),
+    max_replies_per_contact: integer('max_replies_per_contact', 0, 10000),
+    contact_window_seconds: integer('contact_window_seconds', 1, MAX_WINDOW_SECONDS),
+    max_replies_per_device: integer('max_replies_per_device', 0, 1000000),
+    device_window_seconds: integer('device_window_seconds', 1, MAX_WINDOW_SECONDS),
+    loop_detection: Boolean(merged.loop_detection),
+    loop_max_exchanges: integer('loop_max_exchanges', 2, 100),
+    loop_interval_seconds: integer('loop_interval_seconds', 1, 600),
+    loop_mute_seconds: integer('loop_mute_seconds', 60, 7 * MAX_WINDOW_SECONDS),
+    group_replies: merged.group_replies,
+    ignore_broadcast: Boolean(merged.ignore_broadcast),
+    ignore: [...new Set(merged.ignore.map(entry => normalizeChatId(entry, deviceCountryCode(device), ['user', 'group'])))]
+  };
+}
+
+function mentions(device, msg) {
+  if (!device.phone_number) {
+    return false;
+  }
+  return (msg.mentionedIds || []).some(id => {
+    const serialized = typeof id === 'string' ? id : id?._serialized;
+    return serialized?.split('@')[0] === device.phone_number;
+  });
+}
+
+/**
+ * Keeps automatic replies (away messages, flows, auto-reply rules and webhook responses) from
+ * running away. Each incoming message is admitted once before any of them run: ignored chats,
+ * group policy, muted contacts and the per-contact and per-device caps can refuse it, in which
+ * case nothing answers but the message is still forwarded to webhooks. A contact who keeps
+ * answering our automatic replies within seconds is treated as another bot and muted for a while.
+ * Limits count answered incoming messages, recorded when a reply is queued.
+ */
+export class ReplyGuard {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    // Last limit event per device, contact and reason, so a tripped limit is reported once per window
+    this.reported = new Map();
+  }
+
+  start() {
+    this.timer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  settings(device) {
+    return device.reply_guard || DEFAULT_REPLY_GUARD;
+  }
+
+  // Returns true when automatic replies may answer this message
+  admit(deviceId, device, msg) {
+    try {
+      const settings = this.settings(device);
+      if (!settings.enabled) {
+        return true;
+      }
+
+      const chatType = chatTypeOf(msg.from);
+      if (settings.ignore.includes(msg.from) || (msg.author && settings.ignore.includes(msg.author))) {
+        return false;
+      }
+      if (chatType === 'broadcast' && settings.ignore_broadcast) {
+        return false;
+      }
+      if (chatType === 'group' && (settings.group_replies === 'never' || (settings.group_replies === 'mentioned' && !mentions(device, msg)))) {
+        return false;
+      }
+
+      const contactId = msg.from;
+      const timestamp = now();
+      const state = replyGuardModel.getContact(deviceId, contactId);
+      if (state?.muted_until > timestamp) {
+        return false;
+      }
+
+      if (settings.loop_detection && this.detectLoop(deviceId, contactId, settings, state, timestamp)) {
+        return false;
+      }
+
+      if (settings.max_replies_per_contact > 0) {
+        const count = replyGuardModel.countReplies(deviceId, timestamp - settings.contact_window_seconds, contactId);
+        if (count >= settings.max_replies_per_contact) {
+          this.trip(deviceId, contactId, 'contact_limit', settings.contact_window_seconds, {
+            limit: settings.max_replies_per_contact,
+            window_seconds: settings.contact_window_seconds
+          });
+          return false;
+        }
+      }
+
+      if (settings.max_replies_per_device > 0) {
+        const count = replyGuardModel.countReplies(deviceId, timestamp - settings.device_window_seconds);
+        if (count >= settings.max_replies_per_device) {
+          this.trip(deviceId, null, 'device_limit', settings.device_window_seconds, {
+            limit: settings.max_replies_per_device,
+            window_seconds: settings.device_window_seconds
+          });
+          return false;
+        }
+      }
+      return true;
+    } catch (error) {
+      logger.error(`[${deviceId}] Reply guard check failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Reply guard check failed: ${error.message}`);
+      return true;
+    }
+  }
+
+  // A message arriving within loop_interval_seconds of our last automatic reply extends the streak; enough in a row mutes the contact
+  detectLoop(deviceId, contactId, settings, state, timestamp) {
+    const lastReplyAt = replyGuardModel.lastReplyAt(deviceId, contactId);
+    const quick = lastReplyAt !== null && timestamp - lastReplyAt <= settings.loop_interval_seconds;
+    const streak = quick ? (state?.streak || 0) + 1 : 0;
+
+    if (streak < settings.loop_max_exchanges) {
+      if (streak !== (state?.streak || 0)) {
+        replyGuardModel.saveContact(deviceId, contactId, { streak, muted_until: null });
+      }
+      return false;
+    }
+
+    const mutedUntil = timestamp + settings.loop_mute_seconds;
+    replyGuardModel.saveContact(deviceId, contactId, { streak: 0, muted_until: mutedUntil });
+    this.trip(deviceId, contactId, 'loop', settings.loop_mute_seconds, {
+      exchanges: streak,
+      interval_seconds: settings.loop_interval_seconds,
+      muted_until: mutedUntil
+    });
+    return true;
+  }
+
+  trip(deviceId, contactId, reason, windowSeconds, details) {
+    const key = `${deviceId}:${contactId || '*'}:${reason}`;
+    const timestamp = now();
+    if (this.reported.get(key) > timestamp) {
+      return;
+    }
+    this.reported.set(key, timestamp + windowSeconds);
+
+    const subject = contactId ? `for ${contactId}` : 'for the device';
+    const message = reason === 'loop'
+      ? `Reply loop detected ${subject}; automatic replies muted until ${new Date(details.muted_until * 1000).toISOString()}`
+      : `Automatic reply limit reached ${subject} (${details.limit} per ${details.window_seconds}s)`;
+    logger.warn(`[${deviceId}] ${message}`);
+    logModel.create(deviceId, 'warn', message);
+    this.manager.emitEvent(deviceId, 'reply_limit', { reason, contact: contactId, ...details });
+  }
+
+  // Called once a reply to `msg` is queued; repeated calls for the same message count once
+  record(deviceId, msg) {
+    try {
+      replyGuardModel.recordReply(deviceId, msg.from, msg.id._serialized);
+    } catch (error) {
+      logger.error(`[${deviceId}] Failed to record automatic reply: ${error.message}`);
+    }
+  }
+
+  unmute(deviceId, contactId) {
+    this.reported.delete(`${deviceId}:${contactId}:loop`);
+    return replyGuardModel.unmute(deviceId, contactId);
+  }
+
+  prune() {
+    try {
+      const timestamp = now();
+      replyGuardModel.deleteOlderThan(timestamp - MAX_WINDOW_SECONDS);
+      for (const [key, until] of this.reported) {
+        if (until <= timestamp) {
+          this.reported.delete(key);
+        }
+      }
+    } catch (error) {
+      logger.error(`Reply guard prune failed: ${error.message}`);
+    }
+  }
+}
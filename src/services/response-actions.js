@@ -0,0 +1,183 @@
+import { deviceModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+import { buildMessageMedia } from '../utils/media.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+
+export const MAX_RESPONSE_ACTIONS = parseInt(process.env.MAX_RESPONSE_ACTIONS) || 20;
+const MAX_ACTION_DELAY_MS = parseInt(process.env.MAX_ACTION_DELAY_MS) || 30000;
+// How long an action waits for its queued send before the remaining actions are given up
+const ACTION_SEND_TIMEOUT_MS = parseInt(process.env.ACTION_SEND_TIMEOUT_MS) || 5 * 60 * 1000;
+export const ACTION_TYPES = ['text', 'media', 'react', 'delay', 'read'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+function getPath(data, path) {
+  return path.split('.').reduce((current, key) => (isObject(current) || Array.isArray(current) ? current[key] : undefined), data);
+}
+
+// Validate one action; returns it with `to` normalized to a chat id
+function parseAction(action, index, countryCode) {
+  const fail = (message) => {
+    throw badRequest(`actions[${index}]: ${message}`);
+  };
+
+  if (!isObject(action)) fail('must be an object');
+  if (!ACTION_TYPES.includes(action.type)) fail(`type must be one of: ${ACTION_TYPES.join(', ')}`);
+
+  const parsed = { ...action };
+  if (action.to !== undefined) {
+    if (!['text', 'media'].includes(action.type)) fail(`"to" is not supported for ${action.type} actions`);
+    if (action.quote) fail('"quote" only works when replying in the same chat');
+    parsed.to = normalizeChatId(action.to, countryCode);
+  }
+
+  switch (action.type) {
+    case 'text':
+      if (!isText(action.text)) fail('text is required');
+      break;
+    case 'media':
+      if (!isText(action.url) && !isText(action.base64)) fail('url or base64 is required');
+      if (action.caption !== undefined && typeof action.caption !== 'string') fail('caption must be a string');
+      break;
+    case 'react':
+      if (typeof action.emoji !== 'string') fail('emoji is required (empty string removes the reaction)');
+      break;
+    case 'delay':
+      if (!Number.isInteger(action.ms) || action.ms < 0 || action.ms > MAX_ACTION_DELAY_MS) {
+        fail(`ms must be an integer between 0 and ${MAX_ACTION_DELAY_MS}`);
+      }
+      break;
+  }
+  return parsed;
+}
+
+/**
+ * Runs the actions a webhook returns for an incoming message. A response (or the value at
+ * the configured response path) can be `{ "actions": [...] }`, a bare array of actions, or a
+ * plain reply string. Sends go through the outbound queue and each one is waited for, so
+ * reactions, read receipts and delays happen in their declared place. Actions run in order
+ * and a failing (or malformed) action doesn't stop the ones after it.
+ */
+export class ResponseActions {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  // Returns the actions to run, or an empty list when the response has nothing to do
+  fromResponse(deviceId, responseData, responsePath) {
+    const value = responsePath?.trim() ? getPath(responseData, responsePath.trim()) : responseData;
+    const countryCode = deviceCountryCode(deviceModel.findById(deviceId));
+
+    if (Array.isArray(value)) {
+      return this.validActions(deviceId, value, countryCode);
+    }
+    if (isObject(value) && Array.isArray(value.actions)) {
+      return this.validActions(deviceId, value.actions, countryCode);
+    }
+
+    // Single reply string, auto-detected from common keys when no path is configured
+    const reply = responsePath?.trim()
+      ? value
+      : isObject(value) && (value.reply || value.message || value.response || value.text);
+    return isText(reply) ? [{ type: 'text', text: reply }] : [];
+  }
+
+  // A webhook response is not ours to fix: malformed actions are reported and skipped, the rest still run
+  validActions(deviceId, actions, countryCode) {
+    if (actions.length > MAX_RESPONSE_ACTIONS) {
+      throw badRequest(`At most ${MAX_RESPONSE_ACTIONS} actions are allowed per response`);
+    }
+
+    return actions.flatMap((action, index) => {
+      try {
+        return [parseAction(action, index, countryCode)];
+      } catch (error) {
+        logger.warn(`[${deviceId}] Skipping invalid response action: ${error.message}`);
+        logModel.create(deviceId, 'warn', `Skipped invalid response action: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  async execute(deviceId, msg, actions) {
+    let replied = false;
+    for (const [index, action] of actions.entries()) {
+      try {
+        await this.run(deviceId, msg, action);
+        replied ||= action.type === 'text' || action.type === 'media';
+      } catch (error) {
+        logger.error(`[${deviceId}] Response action ${index} (${action.type}) failed: ${error.message}`);
+        logModel.create(deviceId, 'error', `Response action ${index} (${action.type}) failed: ${error.message}`);
+        // The send is still queued; running the rest now would put them out of order
+        if (error.code === 'QUEUE_WAIT_TIMEOUT') {
+          const remaining = actions.length - index - 1;
+          if (remaining > 0) {
+            logModel.create(deviceId, 'warn', `Skipped ${remaining} remaining response action(s) for ${msg.from}: the previous send is still queued`);
+          }
+          break;
+        }
+      }
+    }
+
+    // Counts toward the reply guard's limits and loop detection
+    if (replied) {
+      this.manager.replyGuard.record(deviceId, msg);
+    }
+  }
+
+  async run(deviceId, msg, action) {
+    const messageId = msg.id._serialized;
+    const to = action.to || msg.from;
+    const queueOptions = {
+      source: 'auto_reply',
+      sourceRef: messageId
+    };
+
+    switch (action.type) {
+      case 'text': {
+        const job = this.manager.queue.enqueueText(deviceId, to, action.text, {
+          ...queueOptions,
+          sendOptions: action.quote ? { quotedMessageId: messageId } : {}
+        });
+        logger.info(`[${deviceId}] ✓ Auto-reply queued: "${action.text.substring(0, 30)}..."`);
+        logModel.create(deviceId, 'info', `Auto-reply queued for ${to} (job ${job.id})`);
+        await this.manager.queue.waitFor(job.id, ACTION_SEND_TIMEOUT_MS);
+        return;
+      }
+      case 'media': {
+        const media = await buildMessageMedia({
+          url: action.url,
+          base64: action.base64,
+          mimetype: action.mimetype,
+          filename: action.filename
+        });
+        const job = this.manager.queue.enqueueMedia(deviceId, to, media, {
+          ...queueOptions,
+          sendOptions: {
+            caption: action.caption,
+            asDocument: action.as_document,
+            asVoice: action.as_voice,
+            quotedMessageId: action.quote ? messageId : undefined
+          }
+        });
+        logModel.create(deviceId, 'info', `Auto-reply media queued for ${to} (job ${job.id})`);
+        await this.manager.queue.waitFor(job.id, ACTION_SEND_TIMEOUT_MS);
+        return;
+      }
+      case 'react':
+        await this.manager.messages.react(deviceId, messageId, action.emoji);
+        return;
+      case 'delay':
+        await sleep(action.ms);
+        return;
+      case 'read':
+        await this.manager.getConnectedClient(deviceId).sendSeen(msg.from);
+        logModel.create(deviceId, 'info', `Marked chat ${msg.from} as read`);
+        return;
+    }
+  }
+}
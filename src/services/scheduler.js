@@ -0,0 +1,99 @@
+import { scheduleModel, logModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { computeNextRun } from '../utils/schedule-time.js';
+
+const SCHEDULER_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 10000;
+
+/**
+ * Executes due scheduled messages by handing them to the outbound queue.
+ * Schedules live in SQLite, so anything due while the server was down runs once on startup.
+ */
+export class Scheduler {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+
+    // Queue outcomes are written back to the schedule that produced the job
+    manager.queue.on('sent', (job) => this.recordOutcome(job, 'sent'));
+    manager.queue.on('failed', (job, error) => this.recordOutcome(job, 'failed', error));
+  }
+
+  start() {
+    this.timer = setInterval(() => this.runDue(), SCHEDULER_POLL_INTERVAL_MS);
+    this.runDue();
+    logger.info('Scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  runDue() {
+    try {
+      for (const schedule of scheduleModel.findDue()) {
+        this.execute(schedule);
+      }
+    } catch (error) {
+      logger.error(`Scheduler error: ${error.message}`);
+    }
+  }
+
+  execute(schedule) {
+    const { id, device_id: deviceId } = schedule;
+    const runAt = Math.floor(Date.now() / 1000);
+    // Missed occurrences are skipped; only the latest one is sent
+    const nextRunAt = computeNextRun(schedule, Math.max(schedule.next_run_at, runAt));
+
+    const updates = {
+      last_run_at: runAt,
+      run_count: schedule.run_count + 1,
+      next_run_at: nextRunAt,
+      status: nextRunAt ? 'active' : 'completed'
+    };
+
+    try {
+      const job = this.manager.queue.enqueueText(deviceId, schedule.to_number, schedule.message, {
+        source: 'schedule',
+        sourceRef: id
+      });
+
+      scheduleModel.update(id, { ...updates, last_status: 'queued', last_error: null, last_job_id: job.id });
+      logger.info(`[${deviceId}] Scheduled message ${id} queued as job ${job.id}`);
+      logModel.create(deviceId, 'info', `Scheduled message to ${schedule.to_number} executed (job ${job.id})`);
+    } catch (error) {
+      scheduleModel.update(id, {
+        ...updates,
+        status: nextRunAt ? 'active' : 'failed',
+        last_status: 'failed',
+        last_error: error.message
+      });
+      logger.error(`[${deviceId}] Scheduled message ${id} failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Scheduled message to ${schedule.to_number} failed: ${error.message}`);
+    }
+  }
+
+  recordOutcome(job, status, error) {
+    if (job.source !== 'schedule' || !job.source_ref) {
+      return;
+    }
+
+    try {
+      const schedule = scheduleModel.findById(job.device_id, job.source_ref);
+      // Ignore outcomes of older runs once a newer one has been queued
+      if (!schedule || schedule.last_job_id !== job.id) {
+        return;
+      }
+
+      const updates = { last_status: status, last_error: error ? error.message : null };
+      if (status === 'failed' && schedule.status === 'completed') {
+        updates.status = 'failed';
+      }
+      scheduleModel.update(schedule.id, updates);
+    } catch (err) {
+      logger.error(`Scheduler outcome error: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import bcrypt from 'bcryptjs';
+import { v4 as uuidv4 } from 'uuid';
+import { userModel, deviceModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { badRequest } from '../utils/errors.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+const isBcryptHash = (value) => /^\$2[aby]\$/.test(value);
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+export function verifyPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+// What the API returns for a user: everything but the password hash
+export function publicUser(user) {
+  if (!user) {
+    return user;
+  }
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+// Device restriction from the API: null/undefined for all devices, otherwise ids of existing devices
+export function normalizeUserDevices(devices, role) {
+  if (devices === null || devices === undefined || role === 'admin') {
+    return null;
+  }
+  if (!Array.isArray(devices) || devices.some(id => typeof id !== 'string')) {
+    throw badRequest('devices must be an array of device ids or null');
+  }
+
+  const unknown = devices.filter(id => !deviceModel.findById(id));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown device(s): ${unknown.join(', ')}`);
+  }
+  return [...new Set(devices)];
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet.
+ * ADMIN_PASSWORD may be a bcrypt hash or plain text; afterwards the env values are not used.
+ */
+export async function seedAdminUser() {
+  if (userModel.count() > 0) {
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || 'admin123';
+  userModel.create({
+    id: uuidv4(),
+    username,
+    password_hash: isBcryptHash(password) ? password : await hashPassword(password),
+    role: 'admin'
+  });
+
+  logger.info(`Created admin user "${username}"`);
+  if (!process.env.ADMIN_PASSWORD) {
+    logger.warn('Admin user uses the default password; change it from the Users page');
+  }
+}
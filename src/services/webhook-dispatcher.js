@@ -0,0 +1,300 @@
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { deviceModel, webhookModel, statsModel, logModel, webhookRetryModel, deadLetterModel, webhookDeliveryModel } from '../models/database.js';
+import { logger } from '../utils/logger.js';
+import { notFound, conflict } from '../utils/errors.js';
+import { buildWebhookRequest, deviceWebhookTarget, redactHeaders } from '../utils/webhook-request.js';
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+const WEBHOOK_RETRY_POLL_MS = parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || 5000;
+export const MAX_BULK_REPLAY = 500;
+const WEBHOOK_HISTORY_DAYS = parseInt(process.env.WEBHOOK_HISTORY_DAYS) || 7;
+const HISTORY_RESPONSE_MAX_CHARS = parseInt(process.env.WEBHOOK_HISTORY_RESPONSE_MAX_CHARS) || 4096;
+const HISTORY_REQUEST_MAX_CHARS = 64 * 1024;
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Timeouts, 5xx, 408 and 429 may succeed later; other 4xx responses won't change on their own
+const isRetryable = (status) => !status || status >= 500 || status === 408 || status === 429;
+
+function truncate(value, maxChars) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > maxChars ? `${text.slice(0, maxChars)}... [truncated ${text.length - maxChars} chars]` : text;
+}
+
+export function describeWebhookError(error) {
+  return error.response
+    ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`
+    : error.code === 'ECONNREFUSED'
+    ? 'Connection refused - webhook server unreachable'
+    : error.message;
+}
+
+/**
+ * Posts webhook payloads and keeps failed deliveries: retryable failures are retried with
+ * exponential backoff up to WEBHOOK_MAX_ATTEMPTS, then moved to the dead-letter table for replay.
+ * Deliveries go to the device's primary webhook unless a `webhooks` row is given as target.
+ */
+export class WebhookDispatcher {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    this.pruneTimer = null;
+    this.processing = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.processDue(), WEBHOOK_RETRY_POLL_MS);
+    this.pruneTimer = setInterval(() => this.pruneHistory(), HISTORY_PRUNE_INTERVAL_MS);
+    this.pruneHistory();
+    logger.info('Webhook retry worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  async post(device, request) {
+    const response = await axios.request({
+      ...request,
+      validateStatus: (status) => status < 600
+    });
+
+    statsModel.increment(device.id, 'webhook_calls');
+    return response;
+  }
+
+  /**
+   * One attempt, kept in the delivery history. Every request is signed with the device secret,
+   * including retries and replays. Returns { response } on 2xx or { error, status } otherwise.
+   */
+  async attempt(device, payload, target, { event, attempt = 1 }) {
+    const request = buildWebhookRequest(target, deviceModel.getWebhookSecret(device.id), payload);
+    const startedAt = Date.now();
+    let response = null;
+    let result;
+
+    try {
+      response = await this.post(device, request);
+      result = response.status >= 200 && response.status < 300
+        ? { response }
+        : { status: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+      response = error.response || null;
+      result = { status: error.response?.status, error: describeWebhookError(error) };
+    }
+
+    this.record(device, target, request, {
+      event,
+      attempt,
+      response,
+      error: result.error,
+      duration_ms: Date.now() - startedAt
+    });
+    return result;
+  }
+
+  // History is best-effort; a failing insert must not affect the delivery itself
+  record(device, target, request, { event, attempt, response, error, duration_ms }) {
+    try {
+      webhookDeliveryModel.create({
+        id: uuidv4(),
+        device_id: device.id,
+        webhook_id: target.id,
+        event,
+        attempt,
+        method: request.method,
+        url: request.url,
+        request_headers: redactHeaders(target, request.headers),
+        request_body: truncate(request.data, HISTORY_REQUEST_MAX_CHARS),
+        response_status: response?.status,
+        response_body: truncate(response?.data, HISTORY_RESPONSE_MAX_CHARS),
+        duration_ms,
+        error,
+        success: !error
+      });
+    } catch (recordError) {
+      logger.error(`[${device.id}] Failed to record webhook delivery: ${recordError.message}`);
+    }
+  }
+
+  pruneHistory() {
+    try {
+      const removed = webhookDeliveryModel.deleteOlderThan(now() - WEBHOOK_HISTORY_DAYS * 24 * 60 * 60);
+      if (removed > 0) {
+        logger.info(`Pruned ${removed} webhook deliveries older than ${WEBHOOK_HISTORY_DAYS} days`);
+      }
+    } catch (error) {
+      logger.error(`Webhook history prune failed: ${error.message}`);
+    }
+  }
+
+  // Returns the response of a successful delivery, or null once the failure is stored for retry
+  async deliver(device, event, payload, webhook = null) {
+    const target = webhook || deviceWebhookTarget(device);
+    const result = await this.attempt(device, payload, target, { event });
+    if (result.response) {
+      return result.response;
+    }
+
+    logger.error(`[${device.id}] ✗ Webhook ${event} to ${target.url} failed: ${result.error}`);
+    const entry = { device_id: device.id, webhook_id: target.id, event, url: target.url, payload, attempts: 1 };
+
+    if (isRetryable(result.status) && WEBHOOK_MAX_ATTEMPTS > 1) {
+      webhookRetryModel.create({
+        ...entry,
+        id: uuidv4(),
+        max_attempts: WEBHOOK_MAX_ATTEMPTS,
+        next_attempt_at: now() + this.backoffSeconds(1),
+        last_error: result.error
+      });
+      logModel.create(device.id, 'warn', `Webhook ${event} failed (${result.error}), will retry`);
+    } else {
+      this.deadLetter(entry, result.error);
+    }
+    return null;
+  }
+
+  backoffSeconds(attempts) {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+    return Math.ceil(delay / 1000);
+  }
+
+  async processDue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      for (const entry of webhookRetryModel.findDue()) {
+        await this.retry(entry);
+      }
+    } catch (error) {
+      logger.error(`Webhook retry worker error: ${error.message}`);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Current settings of an enabled delivery target, or null when it was disabled or removed
+  findTarget(device, webhookId) {
+    if (webhookId) {
+      const webhook = webhookModel.findById(device.id, webhookId);
+      return webhook?.enabled ? webhook : null;
+    }
+    return device.webhook_enabled && device.webhook_url ? deviceWebhookTarget(device) : null;
+  }
+
+  async retry(entry) {
+    const device = deviceModel.findById(entry.device_id);
+    if (!device) {
+      webhookRetryModel.delete(entry.id);
+      return;
+    }
+
+    const target = this.findTarget(device, entry.webhook_id);
+    if (!target) {
+      webhookRetryModel.delete(entry.id);
+      this.deadLetter(entry, 'Webhook disabled or removed before the retry could be delivered');
+      return;
+    }
+
+    const attempts = entry.attempts + 1;
+    const result = await this.attempt(device, entry.payload, target, { event: entry.event, attempt: attempts });
+
+    if (result.response) {
+      webhookRetryModel.delete(entry.id);
+      logger.info(`[${device.id}] ✓ Webhook ${entry.event} delivered on attempt ${attempts}`);
+      logModel.create(device.id, 'info', `Webhook ${entry.event} delivered on attempt ${attempts}`);
+      return;
+    }
+
+    if (isRetryable(result.status) && attempts < entry.max_attempts) {
+      webhookRetryModel.reschedule(entry.id, attempts, now() + this.backoffSeconds(attempts), result.error);
+      return;
+    }
+
+    webhookRetryModel.delete(entry.id);
+    this.deadLetter({ ...entry, attempts }, result.error);
+  }
+
+  deadLetter(entry, error) {
+    deadLetterModel.create({
+      id: uuidv4(),
+      device_id: entry.device_id,
+      webhook_id: entry.webhook_id,
+      event: entry.event,
+      url: entry.url,
+      payload: entry.payload,
+      attempts: entry.attempts,
+      last_error: error,
+      created_at: entry.created_at
+    });
+
+    logger.error(`[${entry.device_id}] Webhook ${entry.event} moved to dead letters after ${entry.attempts} attempt(s): ${error}`);
+    logModel.create(entry.device_id, 'error', `Webhook ${entry.event} failed permanently: ${error}`);
+  }
+
+  // Replay a dead letter to the current URL of the webhook it was meant for
+  async replay(deviceId, letterId) {
+    const letter = deadLetterModel.findById(deviceId, letterId);
+    if (!letter) {
+      throw notFound('Dead letter not found');
+    }
+
+    const device = deviceModel.findById(deviceId);
+    let target = deviceWebhookTarget(device);
+    if (letter.webhook_id) {
+      target = webhookModel.findById(deviceId, letter.webhook_id);
+      if (!target) {
+        throw conflict('The webhook this delivery was meant for has been deleted');
+      }
+    } else if (!target.url) {
+      throw conflict('Device has no webhook URL configured');
+    }
+
+    const result = await this.attempt(device, letter.payload, target, { event: letter.event, attempt: letter.attempts + 1 });
+    if (result.response) {
+      deadLetterModel.delete(letter.id);
+      logModel.create(deviceId, 'info', `Webhook ${letter.event} replayed successfully`);
+      return { id: letter.id, success: true, status: result.response.status };
+    }
+
+    deadLetterModel.recordFailure(letter.id, result.error);
+    return { id: letter.id, success: false, error: result.error };
+  }
+
+  // Replays one at a time so a recovering receiver isn't flooded
+  async replayMany(deviceId, ids) {
+    const letterIds = ids || deadLetterModel.findByDevice(deviceId, { limit: MAX_BULK_REPLAY }).map(letter => letter.id);
+
+    const results = [];
+    for (const id of letterIds) {
+      try {
+        results.push(await this.replay(deviceId, id));
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    return {
+      replayed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  }
+}
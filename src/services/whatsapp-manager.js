@@ -1,16 +1,52 @@
 import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
+const { Client, LocalAuth, MessageMedia } = pkg;
 import qrcode from 'qrcode';
 import { v4 as uuidv4 } from 'uuid';
-import axios from 'axios';
-import { deviceModel, messageModel, statsModel, logModel } from '../models/database.js';
+import { deviceModel, messageModel, webhookModel, statsModel, logModel, ackModel, ACK_STATUS } from '../models/database.js';
 import { logger } from '../utils/logger.js';
+import { base64Size, resolveMediaType } from '../utils/media.js';
+import { normalizeChatId, deviceCountryCode } from '../utils/phone.js';
+import { isSubscribed, buildEnvelope } from '../utils/webhook-events.js';
+import { matchesFilters } from '../utils/webhook-filters.js';
+import { renderJsonTemplate } from '../utils/template.js';
+import { messageVariables } from '../utils/webhook-template.js';
+import { deviceWebhookTarget, maskAuth, maskHeaders } from '../utils/webhook-request.js';
+import { isOpen } from '../utils/business-hours.js';
+import { saveMedia, readMediaBase64, mediaUrl, DEFAULT_WEBHOOK_MEDIA_MAX_SIZE } from './media-store.js';
+import { MessageQueue } from './message-queue.js';
+import { Scheduler } from './scheduler.js';
+import { CampaignRunner } from './campaign-runner.js';
+import { GroupManager } from './group-manager.js';
+import { WebhookDispatcher } from './webhook-dispatcher.js';
+import { MessageActions } from './message-actions.js';
+import { ContactManager } from './contact-manager.js';
+import { ResponseActions } from './response-actions.js';
+import { AutoResponder } from './auto-responder.js';
+import { AwayNotifier } from './away-notifier.js';
+import { FlowEngine } from './flow-engine.js';
+import { ReplyGuard } from './reply-guard.js';
+import { ChatModes } from './chat-modes.js';
+import { notFound, conflict } from '../utils/errors.js';
 
 export class WhatsAppManager {
   constructor() {
     this.clients = new Map();
     this.initializationAttempts = new Map();
+    this.pendingSends = new Map();
     this.maxRetries = 3;
+    this.queue = new MessageQueue(this);
+    this.scheduler = new Scheduler(this);
+    this.campaigns = new CampaignRunner(this);
+    this.groups = new GroupManager(this);
+    this.messages = new MessageActions(this);
+    this.contacts = new ContactManager(this);
+    this.webhooks = new WebhookDispatcher(this);
+    this.responseActions = new ResponseActions(this);
+    this.autoResponder = new AutoResponder(this);
+    this.awayNotifier = new AwayNotifier(this);
+    this.flows = new FlowEngine(this);
+    this.replyGuard = new ReplyGuard(this);
+    this.chatModes = new ChatModes(this);
   }
 
   async createDevice(deviceId, name) {
@@ -109,6 +145,7 @@ export class WhatsAppManager {
         deviceModel.update(deviceId, { qr_code: qrCodeData, status: 'qr_ready' });
         logger.info(`[${deviceId}] QR Code generated`);
         logModel.create(deviceId, 'info', 'QR Code generated - Ready to scan');
+        this.emitEvent(deviceId, 'qr', { qr, qr_code: qrCodeData });
       } catch (error) {
         logger.error(`[${deviceId}] Error generating QR code: ${error.message}`);
         logModel.create(deviceId, 'error', `QR generation failed: ${error.message}`);
@@ -126,6 +163,11 @@ export class WhatsAppManager {
         });
         logger.info(`[${deviceId}] Connected! Phone: ${phoneNumber}`);
         logModel.create(deviceId, 'info', `Connected successfully with number ${phoneNumber}`);
+
+        this.emitEvent(deviceId, 'ready', { phone_number: phoneNumber, pushname: client.info.pushname || null });
+
+        // Flush messages queued while the device was offline
+        this.queue.wake(deviceId);
       } catch (error) {
         logger.error(`[${deviceId}] Error in ready handler: ${error.message}`);
       }
@@ -135,6 +177,7 @@ export class WhatsAppManager {
     client.on('authenticated', () => {
       logger.info(`[${deviceId}] Authentication successful`);
       logModel.create(deviceId, 'info', 'Authentication successful');
+      this.emitEvent(deviceId, 'authenticated');
     });
 
     // Message handler
@@ -142,18 +185,46 @@ export class WhatsAppManager {
       await this.handleIncomingMessage(deviceId, msg);
     });
 
-    // Message create handler (for sent messages)
+    // Message create handler (for sent messages, including ones typed on the phone)
     client.on('message_create', async (msg) => {
       if (msg.fromMe) {
-        logger.info(`[${deviceId}] Outgoing message detected: ${msg.body.substring(0, 30)}...`);
+        await this.handleOutgoingMessage(deviceId, msg);
       }
     });
 
+    // Delivery / read acknowledgement handler
+    client.on('message_ack', async (msg, ack) => {
+      await this.handleMessageAck(deviceId, msg, ack);
+    });
+
+    // Revoked ("deleted for everyone") messages
+    client.on('message_revoke_everyone', async (msg, revokedMsg) => {
+      await this.handleMessageRevoke(deviceId, msg, revokedMsg);
+    });
+
+    // Group membership changes
+    client.on('group_join', (notification) => this.handleGroupNotification(deviceId, 'group_join', notification));
+    client.on('group_leave', (notification) => this.handleGroupNotification(deviceId, 'group_leave', notification));
+
+    // Incoming calls
+    client.on('call', (call) => {
+      logger.info(`[${deviceId}] Incoming ${call.isVideo ? 'video' : 'voice'} call from ${call.from}`);
+      logModel.create(deviceId, 'info', `Incoming call from ${call.from}`);
+      this.emitEvent(deviceId, 'call', {
+        call_id: call.id,
+        from: call.from,
+        is_video: Boolean(call.isVideo),
+        is_group: Boolean(call.isGroup),
+        timestamp: call.timestamp
+      });
+    });
+
     // Disconnected handler
     client.on('disconnected', (reason) => {
       deviceModel.update(deviceId, { status: 'disconnected', qr_code: null });
       logger.warn(`[${deviceId}] Disconnected: ${reason}`);
       logModel.create(deviceId, 'warn', `Disconnected: ${reason}`);
+      this.emitEvent(deviceId, 'disconnected', { reason });
       
       // Auto-reconnect after 5 seconds
       setTimeout(() => {
@@ -169,6 +240,7 @@ export class WhatsAppManager {
       deviceModel.update(deviceId, { status: 'auth_failure', qr_code: null });
       logger.error(`[${deviceId}] Authentication failure: ${msg}`);
       logModel.create(deviceId, 'error', `Authentication failed: ${msg}`);
+      this.emitEvent(deviceId, 'auth_failure', { message: msg });
     });
 
     // Loading screen handler
@@ -201,7 +273,17 @@ export class WhatsAppManager {
         direction: 'incoming'
       };
 
+      const media = msg.hasMedia ? await this.downloadIncomingMedia(deviceId, msg, messageData) : null;
+
       messageModel.create(messageData);
+      if (media) {
+        try {
+          messageData.media = saveMedia(deviceId, messageData.id, messageData.message_id, media);
+        } catch (error) {
+          logger.error(`[${deviceId}] Media store failed: ${error.message}`);
+          logModel.create(deviceId, 'error', `Media store failed: ${error.message}`);
+        }
+      }
       statsModel.increment(deviceId, 'messages_received');
 
       const preview = msg.body ? msg.body.substring(0, 50) : '[Media]';
@@ -211,9 +293,22 @@ export class WhatsAppManager {
       // Get device config
       const device = deviceModel.findById(deviceId);
       
-      if (device && device.webhook_enabled && device.webhook_url) {
-        logger.info(`[${deviceId}] Forwarding to webhook: ${device.webhook_url}`);
-        await this.forwardToWebhook(deviceId, device, msg, messageData);
+      if (device) {
+        // A chat taken over by an agent gets no automatic replies; otherwise the ignore list, group
+        // policy, rate limits and loop detection decide whether anything below may answer
+        const canReply = !this.chatModes.isHuman(deviceId, msg.from) && this.replyGuard.admit(deviceId, device, msg);
+
+        // Outside business hours the away message goes out first and may switch off the steps below
+        const policy = await this.awayNotifier.process(deviceId, device, msg, { reply: canReply });
+
+        // A contact inside a flow (or starting one) is answered by the flow; otherwise built-in rules
+        // answer. Either can keep the message from the webhooks
+        const handled = canReply && policy.autoReplies && (
+          await this.flows.process(deviceId, device, msg) || await this.autoResponder.process(deviceId, device, msg)
+        );
+        if (policy.webhooks && !handled) {
+          await this.fanOutMessage(deviceId, device, msg, messageData, { replies: canReply });
+        }
       }
     } catch (error) {
       logger.error(`[${deviceId}] Error handling message: ${error.message}`);
@@ -221,118 +316,295 @@ export class WhatsAppManager {
     }
   }
 
-  async forwardToWebhook(deviceId, device, msg, messageData) {
+  // Store messages sent from the phone or WhatsApp Web; sends made through this server record themselves
+  async handleOutgoingMessage(deviceId, msg) {
+    try {
+      if (msg.isStatus) {
+        return;
+      }
+
+      // message_create can fire before an API send has resolved and written its row
+      await Promise.allSettled([...(this.pendingSends.get(deviceId) || [])]);
+
+      const messageId = msg.id._serialized;
+      if (messageModel.findByMessageId(deviceId, messageId)) {
+        return;
+      }
+      if (msg.isForwarded && messageModel.claimForwardCopy(deviceId, msg.to, messageId)) {
+        return;
+      }
+
+      const messageData = {
+        id: uuidv4(),
+        device_id: deviceId,
+        message_id: messageId,
+        from_number: msg.from,
+        to_number: msg.to,
+        message_body: msg.body,
+        message_type: msg.type,
+        timestamp: msg.timestamp,
+        direction: 'outgoing',
+        ack_status: ACK_STATUS[msg.ack] || 'pending',
+        source: 'phone'
+      };
+
+      const media = msg.hasMedia ? await this.downloadIncomingMedia(deviceId, msg, messageData) : null;
+
+      messageModel.create(messageData);
+      ackModel.syncMessage(deviceId, messageId);
+      if (media) {
+        try {
+          messageData.media = saveMedia(deviceId, messageData.id, messageId, media);
+        } catch (error) {
+          logger.error(`[${deviceId}] Media store failed: ${error.message}`);
+          logModel.create(deviceId, 'error', `Media store failed: ${error.message}`);
+        }
+      }
+      statsModel.increment(deviceId, 'messages_sent');
+      logger.info(`[${deviceId}] → Phone message to ${msg.to} recorded`);
+
+      // An agent answering from the phone takes the chat over from the bot
+      this.chatModes.agentActivity(deviceId, msg.to, 'agent_message');
+
+      // Only build the payload (which may inline media) when someone listens
+      const device = deviceModel.findById(deviceId);
+      if (isSubscribed(device, 'message_outgoing')) {
+        this.emitEvent(deviceId, 'message_outgoing', {
+          source: 'phone',
+          ...this.getDefaultPayload(deviceId, device, msg, this.buildMediaPayload(device, messageData.media))
+        });
+      }
+    } catch (error) {
+      logger.error(`[${deviceId}] Error handling outgoing message: ${error.message}`);
+      logModel.create(deviceId, 'error', `Outgoing message handling error: ${error.message}`);
+    }
+  }
+
+  async handleMessageRevoke(deviceId, msg, revokedMsg) {
+    try {
+      const messageId = msg.id._serialized;
+      if (messageModel.findByMessageId(deviceId, messageId)) {
+        messageModel.update(deviceId, messageId, { is_revoked: 1, revoked_at: Math.floor(Date.now() / 1000) });
+      }
+      logger.info(`[${deviceId}] Message ${messageId} revoked by ${msg.author || msg.from}`);
+      logModel.create(deviceId, 'info', `Message revoked in ${msg.from}`);
+
+      this.emitEvent(deviceId, 'message_revoke', {
+        message_id: messageId,
+        from: msg.from,
+        to: msg.to,
+        author: msg.author || null,
+        original_body: revokedMsg?.body ?? null,
+        original_type: revokedMsg?.type ?? null
+      });
+    } catch (error) {
+      logger.error(`[${deviceId}] Error handling revoke: ${error.message}`);
+    }
+  }
+
+  handleGroupNotification(deviceId, event, notification) {
+    const groupId = notification.chatId || notification.id?.remote;
+    logger.info(`[${deviceId}] ${event} in ${groupId}`);
+    logModel.create(deviceId, 'info', `Group ${event === 'group_join' ? 'join' : 'leave'} in ${groupId}`);
+
+    this.emitEvent(deviceId, event, {
+      group_id: groupId,
+      participants: notification.recipientIds || [],
+      author: notification.author || null,
+      type: notification.type
+    });
+  }
+
+  // Post an event envelope to the device webhook when the device subscribes to it
+  async emitEvent(deviceId, event, data = {}) {
+    try {
+      const device = deviceModel.findById(deviceId);
+      if (!isSubscribed(device, event)) {
+        return;
+      }
+
+      await this.webhooks.deliver(device, event, buildEnvelope(deviceId, event, data));
+    } catch (error) {
+      logger.error(`[${deviceId}] Error emitting ${event} event: ${error.message}`);
+    }
+  }
+
+  // Keep track of sends in flight so message_create doesn't record them a second time
+  trackSend(deviceId, promise) {
+    if (!this.pendingSends.has(deviceId)) {
+      this.pendingSends.set(deviceId, new Set());
+    }
+    const pending = this.pendingSends.get(deviceId);
+    pending.add(promise);
+    promise.then(() => pending.delete(promise), () => pending.delete(promise));
+    return promise;
+  }
+
+  // Fetch the attachment and copy its metadata onto messageData; the file is written once the message row exists
+  async downloadIncomingMedia(deviceId, msg, messageData) {
+    try {
+      const media = await msg.downloadMedia();
+      if (!media || !media.data) {
+        logger.warn(`[${deviceId}] Media for ${messageData.message_id} is no longer available`);
+        return null;
+      }
+
+      messageData.media_mimetype = media.mimetype;
+      messageData.media_size = base64Size(media.data);
+      messageData.media_filename = media.filename || null;
+      return media;
+    } catch (error) {
+      logger.error(`[${deviceId}] Media download failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Media download failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Media reference for webhook payloads: URL and/or inline base64 depending on device settings
+  buildMediaPayload(device, record) {
+    if (!record) {
+      return null;
+    }
+
+    const mode = device.webhook_media_mode || 'url';
+    const maxSize = device.webhook_media_max_size || DEFAULT_WEBHOOK_MEDIA_MAX_SIZE;
+    const payload = {
+      id: record.id,
+      mimetype: record.mimetype,
+      size: record.size,
+      filename: record.filename,
+      sha256: record.sha256
+    };
+
+    if (mode === 'none') {
+      return payload;
+    }
+
+    const inline = (mode === 'base64' || mode === 'both') && record.size <= maxSize;
+    if (inline) {
+      payload.base64 = readMediaBase64(record);
+    }
+    // Oversized files still get a URL when base64 was requested
+    if (mode === 'url' || mode === 'both' || !inline) {
+      payload.url = mediaUrl(device.id, record.id);
+    }
+
+    return payload;
+  }
+
+  async handleMessageAck(deviceId, msg, ack) {
+    try {
+      const status = ACK_STATUS[ack];
+      if (!status) {
+        return;
+      }
+
+      const messageId = msg.id._serialized;
+      if (!ackModel.record(deviceId, messageId, status, ack)) {
+        return;
+      }
+      logger.info(`[${deviceId}] ✓ Ack ${status} for ${messageId}`);
+
+      this.emitEvent(deviceId, 'message_ack', { message_id: messageId, to: msg.to, status, ack });
+    } catch (error) {
+      logger.error(`[${deviceId}] Ack handling error: ${error.message}`);
+      logModel.create(deviceId, 'error', `Ack handling failed: ${error.message}`);
+    }
+  }
+
+  // The device's primary webhook gets every message; extra endpoints only those their filters match
+  async fanOutMessage(deviceId, device, msg, messageData, { replies = true } = {}) {
+    const targets = [];
+    if (device.webhook_enabled && device.webhook_url) {
+      targets.push(deviceWebhookTarget(device));
+    }
+
+    const message = {
+      chatId: msg.from,
+      senderId: msg.author || msg.from,
+      type: msg.type,
+      body: msg.body,
+      hasMedia: msg.hasMedia
+    };
+    for (const webhook of webhookModel.findEnabled(deviceId)) {
+      try {
+        if (matchesFilters(webhook.filters, message)) {
+          targets.push(webhook);
+        }
+      } catch (error) {
+        logger.error(`[${deviceId}] Filter error on webhook ${webhook.name}: ${error.message}`);
+      }
+    }
+
+    await Promise.all(targets.map(target => {
+      logger.info(`[${deviceId}] Forwarding to webhook ${target.name}: ${target.url}`);
+      return this.forwardToWebhook(deviceId, device, target, msg, messageData, replies);
+    }));
+  }
+
+  async forwardToWebhook(deviceId, device, target, msg, messageData, replies = true) {
     try {
       let webhookPayload;
+      const media = this.buildMediaPayload(device, messageData.media);
       
-      if (device.webhook_body_template) {
+      if (target.body_template) {
         try {
           logger.info(`[${deviceId}] Building custom webhook payload`);
-          webhookPayload = this.buildDynamicPayload(device.webhook_body_template, {
-            device_id: deviceId,
-            device_name: device.name,
-            device_phone: device.phone_number || '',
-            message_id: msg.id._serialized,
-            from: msg.from,
-            to: msg.to,
-            from_name: msg._data.notifyName || msg.from.split('@')[0],
-            message: msg.body || '',
-            message_type: msg.type,
-            timestamp: msg.timestamp,
-            is_group: msg.from.includes('@g.us'),
-            chat_name: msg._data.notifyName || msg.from.split('@')[0],
-            has_media: msg.hasMedia || false,
-            is_forwarded: msg.isForwarded || false,
-            is_status: msg.isStatus || false,
-            broadcast: msg.broadcast || false
-          });
+          webhookPayload = renderJsonTemplate(target.body_template, messageVariables(device, msg, media));
           logModel.create(deviceId, 'info', 'Custom payload built');
         } catch (error) {
           logger.error(`[${deviceId}] Payload build error: ${error.message}`);
           logModel.create(deviceId, 'error', `Payload error: ${error.message}`);
-          webhookPayload = this.getDefaultPayload(deviceId, device, msg);
+          webhookPayload = this.getDefaultPayload(deviceId, device, msg, media);
           logModel.create(deviceId, 'warn', 'Using default payload');
         }
       } else {
-        webhookPayload = this.getDefaultPayload(deviceId, device, msg);
+        webhookPayload = this.getDefaultPayload(deviceId, device, msg, media);
       }
 
-      logger.info(`[${deviceId}] → Webhook: ${device.webhook_url}`);
-      logModel.create(deviceId, 'info', 'Calling webhook...');
+      logger.info(`[${deviceId}] → Webhook: ${target.url}`);
+      logModel.create(deviceId, 'info', `Calling webhook ${target.name}...`);
 
-      const response = await axios.post(device.webhook_url, webhookPayload, {
-        timeout: 10000,
-        headers: { 
-          'Content-Type': 'application/json',
-          'User-Agent': 'WhatsApp-Manager/1.0'
-        },
-        validateStatus: (status) => status < 600
-      });
+      // Failed deliveries are stored and retried by the dispatcher (without auto-reply)
+      const response = await this.webhooks.deliver(device, 'message', webhookPayload, target);
+      if (!response) {
+        return;
+      }
 
-      statsModel.increment(deviceId, 'webhook_calls');
-      
-      if (response.status >= 200 && response.status < 300) {
-        logger.info(`[${deviceId}] ✓ Webhook success: ${response.status}`);
-        logModel.create(deviceId, 'info', `Webhook success: ${response.status}`);
-        
-        // Handle auto-reply
-        if (device.webhook_response_enabled && response.data) {
-          await this.handleWebhookResponse(deviceId, device, msg, response.data);
+      logger.info(`[${deviceId}] ✓ Webhook success: ${response.status}`);
+      logModel.create(deviceId, 'info', `Webhook ${target.name} success: ${response.status}`);
+
+      // Handle auto-reply, unless the reply guard refused this message
+      if (target.response_enabled && response.data) {
+        if (replies) {
+          await this.handleWebhookResponse(deviceId, target.response_path, msg, response.data);
+        } else {
+          logModel.create(deviceId, 'info', `Webhook ${target.name} reply to ${msg.from} held back by the reply guard`);
         }
-      } else {
-        logger.warn(`[${deviceId}] ⚠ Webhook status ${response.status}`);
-        logModel.create(deviceId, 'warn', `Webhook returned ${response.status}`);
       }
     } catch (error) {
-      const errorMsg = error.response 
-        ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`
-        : error.code === 'ECONNREFUSED'
-        ? 'Connection refused - webhook server unreachable'
-        : error.message;
-      
-      logger.error(`[${deviceId}] ✗ Webhook failed: ${errorMsg}`);
-      logModel.create(deviceId, 'error', `Webhook failed: ${errorMsg}`);
+      logger.error(`[${deviceId}] ✗ Webhook handling failed: ${error.message}`);
+      logModel.create(deviceId, 'error', `Webhook handling failed: ${error.message}`);
     }
   }
 
-  async handleWebhookResponse(deviceId, device, msg, responseData) {
+  async handleWebhookResponse(deviceId, responsePath, msg, responseData) {
     try {
-      const replyMessage = this.extractResponseMessage(responseData, device.webhook_response_path);
-      
-      if (replyMessage && replyMessage.trim()) {
-        await this.sendMessage(deviceId, msg.from, replyMessage);
-        logger.info(`[${deviceId}] ✓ Auto-reply sent: "${replyMessage.substring(0, 30)}..."`);
-        logModel.create(deviceId, 'info', `Auto-reply sent to ${msg.from}`);
-      } else {
+      const actions = this.responseActions.fromResponse(deviceId, responseData, responsePath);
+      if (actions.length === 0) {
         logger.warn(`[${deviceId}] ⚠ No reply message in webhook response`);
         logModel.create(deviceId, 'warn', 'No reply message found in response');
+        return;
       }
+
+      await this.responseActions.execute(deviceId, msg, actions);
     } catch (error) {
       logger.error(`[${deviceId}] Auto-reply error: ${error.message}`);
       logModel.create(deviceId, 'error', `Auto-reply failed: ${error.message}`);
     }
   }
 
-  buildDynamicPayload(template, variables) {
-    let jsonString = template;
-    
-    Object.keys(variables).forEach(key => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      const value = variables[key];
-      
-      if (typeof value === 'string') {
-        jsonString = jsonString.replace(regex, value);
-      } else if (typeof value === 'number' || typeof value === 'boolean') {
-        jsonString = jsonString.replace(regex, String(value));
-      } else {
-        jsonString = jsonString.replace(regex, 'null');
-      }
-    });
-    
-    return JSON.parse(jsonString);
-  }
-
-  getDefaultPayload(deviceId, device, msg) {
+  getDefaultPayload(deviceId, device, msg, media = null) {
     return {
       device_id: deviceId,
       device_name: device.name,
@@ -342,31 +614,13 @@ export class WhatsAppManager {
       message_type: msg.type,
       timestamp: msg.timestamp,
       message_id: msg.id._serialized,
-      from_name: msg._data.notifyName || msg.from.split('@')[0]
+      from_name: msg._data.notifyName || msg.from.split('@')[0],
+      has_media: msg.hasMedia || false,
+      media
     };
   }
 
-  extractResponseMessage(responseData, responsePath) {
-    if (!responsePath || !responsePath.trim()) {
-      // Auto-detect common response paths
-      return responseData.reply || responseData.message || responseData.response || responseData.text || null;
-    }
-
-    const paths = responsePath.split('.');
-    let current = responseData;
-
-    for (const path of paths) {
-      if (current && typeof current === 'object' && path in current) {
-        current = current[path];
-      } else {
-        return null;
-      }
-    }
-
-    return typeof current === 'string' ? current : null;
-  }
-
-  async sendMessage(deviceId, to, message) {
+  async sendMessage(deviceId, to, content, options = {}) {
     const client = this.clients.get(deviceId);
     if (!client) {
       throw new Error('Device not found');
@@ -377,9 +631,16 @@ export class WhatsAppManager {
       throw new Error('Device not connected');
     }
 
+    return this.trackSend(deviceId, this.deliverMessage(client, device, to, content, options));
+  }
+
+  async deliverMessage(client, device, to, content, options) {
+    const deviceId = device.id;
+    const isMedia = content instanceof MessageMedia;
+
     try {
-      const chatId = to.includes('@') ? to : `${to}@c.us`;
-      const sentMsg = await client.sendMessage(chatId, message);
+      const chatId = normalizeChatId(to, deviceCountryCode(device));
+      const sentMsg = await client.sendMessage(chatId, content, options);
 
       const messageData = {
         id: uuidv4(),
@@ -387,16 +648,27 @@ export class WhatsAppManager {
         message_id: sentMsg.id._serialized,
         from_number: sentMsg.from,
         to_number: sentMsg.to,
-        message_body: message,
-        message_type: 'chat',
+        message_body: isMedia ? (options.caption || '') : content,
+        message_type: isMedia ? (sentMsg.type || resolveMediaType(content.mimetype, options)) : 'chat',
         timestamp: sentMsg.timestamp,
-        direction: 'outgoing'
+        direction: 'outgoing',
+        ack_status: ACK_STATUS[sentMsg.ack] || 'pending',
+        quoted_message_id: options.quotedMessageId,
+        source: 'api'
       };
 
+      if (isMedia) {
+        messageData.media_mimetype = content.mimetype;
+        messageData.media_size = content.filesize || base64Size(content.data);
+        messageData.media_filename = content.filename || null;
+      }
+
       messageModel.create(messageData);
+      // Acks can arrive before the send call resolves
+      ackModel.syncMessage(deviceId, messageData.message_id);
       statsModel.increment(deviceId, 'messages_sent');
 
-      logger.info(`[${deviceId}] → Message sent to ${to}`);
+      logger.info(`[${deviceId}] → ${isMedia ? `Media (${messageData.message_type})` : 'Message'} sent to ${to}`);
       return sentMsg;
     } catch (error) {
       logger.error(`[${deviceId}] Send error: ${error.message}`);
@@ -404,6 +676,30 @@ export class WhatsAppManager {
     }
   }
 
+  async sendMedia(deviceId, to, media, options = {}) {
+    const sendOptions = {};
+    if (options.caption) sendOptions.caption = options.caption;
+    if (options.asDocument) sendOptions.sendMediaAsDocument = true;
+    if (options.asVoice) sendOptions.sendAudioAsVoice = true;
+    if (options.quotedMessageId) sendOptions.quotedMessageId = options.quotedMessageId;
+
+    return this.sendMessage(deviceId, to, media, sendOptions);
+  }
+
+  // Client lookup for API operations, with HTTP-friendly errors
+  getConnectedClient(deviceId) {
+    const client = this.clients.get(deviceId);
+    if (!client) {
+      throw notFound('Device not found');
+    }
+
+    const device = deviceModel.findById(deviceId);
+    if (!device || device.status !== 'connected') {
+      throw conflict('Device not connected');
+    }
+    return client;
+  }
+
   async getDevice(deviceId) {
     return this.clients.get(deviceId);
   }
@@ -429,6 +725,7 @@ export class WhatsAppManager {
       try {
         await client.destroy();
         this.clients.delete(deviceId);
+        this.contacts.clearDevice(deviceId);
         deviceModel.update(deviceId, { status: 'disconnected', qr_code: null });
         logger.info(`[${deviceId}] Device disconnected and cleaned up`);
         logModel.create(deviceId, 'info', 'Device disconnected');
@@ -468,9 +765,18 @@ export class WhatsAppManager {
   getStatus(deviceId) {
     const device = deviceModel.findById(deviceId);
     const client = this.clients.get(deviceId);
-    
+    if (!device) {
+      return device;
+    }
+
+    // The signing secret is only served by its own endpoint
+    const { webhook_secret, ...publicDevice } = device;
     return {
-      ...device,
+      ...publicDevice,
+      webhook_auth: maskAuth(device.webhook_auth),
+      webhook_headers: maskHeaders(device.webhook_headers),
+      reply_guard: this.replyGuard.settings(device),
+      is_open: isOpen(device.business_hours),
       is_active: client ? true : false
     };
   }
@@ -483,12 +789,15 @@ export class WhatsAppManager {
 
     try {
       const chats = await client.getChats();
+      const humanChats = new Map(this.chatModes.list(deviceId).map(mode => [mode.chat_id, mode]));
       return chats.map(chat => ({
         id: chat.id._serialized,
         name: chat.name,
         is_group: chat.isGroup,
         unread_count: chat.unreadCount,
-        timestamp: chat.timestamp
+        timestamp: chat.timestamp,
+        mode: humanChats.has(chat.id._serialized) ? 'human' : 'bot',
+        human_mode_until: humanChats.get(chat.id._serialized)?.expires_at ?? null
       }));
     } catch (error) {
       logger.error(`[${deviceId}] Error getting chats: ${error.message}`);
@@ -0,0 +1,105 @@
+import { DateTime } from 'luxon';
+import { badRequest } from './errors.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from './schedule-time.js';
+import { normalizeTimeWindow, isWithinTimeWindow } from './time-window.js';
+import { compileTemplate } from './template.js';
+
+const MAX_WINDOWS = 28;
+const MAX_HOLIDAYS = 366;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Further back than this, an opening is assumed to have happened
+const MAX_LOOKBACK_DAYS = 31;
+
+/**
+ * Validate a device's business hours:
+ * `{ enabled, timezone, schedule: [{ days, start, end }], holidays: ['YYYY-MM-DD'], away_message,
+ *    forward_webhooks_when_closed, auto_replies_when_closed }`.
+ * Schedule entries use the same form as rule time windows and share the top-level timezone.
+ */
+export function normalizeBusinessHours(hours) {
+  if (hours === null || typeof hours !== 'object' || Array.isArray(hours)) {
+    throw badRequest('business_hours must be an object');
+  }
+
+  const timezone = hours.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw badRequest('business_hours.timezone is not a valid timezone');
+  }
+
+  const schedule = hours.schedule || [];
+  if (!Array.isArray(schedule) || schedule.length > MAX_WINDOWS) {
+    throw badRequest(`business_hours.schedule must be an array of at most ${MAX_WINDOWS} { days, start, end } entries`);
+  }
+  if (hours.enabled && schedule.length === 0) {
+    throw badRequest('business_hours.schedule needs at least one entry when enabled');
+  }
+
+  const holidays = hours.holidays || [];
+  if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS
+    || holidays.some(date => typeof date !== 'string' || !ISO_DATE.test(date) || !DateTime.fromISO(date).isValid)) {
+    throw badRequest('business_hours.holidays must be an array of YYYY-MM-DD dates');
+  }
+
+  if (hours.away_message !== undefined && hours.away_message !== null && typeof hours.away_message !== 'string') {
+    throw badRequest('business_hours.away_message must be a string');
+  }
+  const awayMessage = hours.away_message?.trim() ? hours.away_message : null;
+  if (awayMessage) {
+    try {
+      compileTemplate(awayMessage);
+    } catch (error) {
+      throw badRequest(`Invalid business_hours.away_message: ${error.message}`, { position: error.position });
+    }
+  }
+
+  return {
+    enabled: Boolean(hours.enabled),
+    timezone,
+    schedule: schedule.map((entry, index) => {
+      const { days, start, end } = normalizeTimeWindow({ ...entry, timezone }, `business_hours.schedule[${index}]`);
+      return { days, start, end };
+    }),
+    holidays: [...new Set(holidays)].sort(),
+    away_message: awayMessage,
+    forward_webhooks_when_closed: hours.forward_webhooks_when_closed ?? true,
+    auto_replies_when_closed: hours.auto_replies_when_closed ?? true
+  };
+}
+
+// Whether the business is open at `at` (luxon DateTime, default now); disabled hours are always open
+export function isOpen(hours, at = DateTime.now()) {
+  if (!hours?.enabled) {
+    return true;
+  }
+  const local = at.setZone(hours.timezone);
+  if (hours.holidays.includes(local.toISODate())) {
+    return false;
+  }
+  return hours.schedule.some(entry => isWithinTimeWindow({ ...entry, timezone: hours.timezone }, local));
+}
+
+// Whether an opening time (the start of a schedule entry on a non-holiday) falls in (from, to]
+export function openedBetween(hours, from, to = DateTime.now()) {
+  const start = from.setZone(hours.timezone);
+  const end = to.setZone(hours.timezone);
+  if (end.diff(start, 'days').days > MAX_LOOKBACK_DAYS) {
+    return true;
+  }
+
+  for (let day = start.startOf('day'); day <= end; day = day.plus({ days: 1 })) {
+    if (hours.holidays.includes(day.toISODate())) {
+      continue;
+    }
+    for (const entry of hours.schedule) {
+      if (!entry.days.includes(day.weekday)) {
+        continue;
+      }
+      const [hour, minute] = entry.start.split(':').map(Number);
+      const openAt = day.set({ hour, minute });
+      if (openAt > start && openAt <= end) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
@@ -0,0 +1,16 @@
+// Error carrying an HTTP status, picked up by route handlers and the global error handler
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+export const badRequest = (message, details) => new HttpError(400, message, details);
+export const forbidden = (message) => new HttpError(403, message);
+export const notFound = (message = 'Not found') => new HttpError(404, message);
+export const conflict = (message) => new HttpError(409, message);
@@ -0,0 +1,153 @@
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import pkg from 'whatsapp-web.js';
+const { MessageMedia } = pkg;
+import { badRequest } from './errors.js';
+
+export const MAX_MEDIA_SIZE = parseInt(process.env.MAX_MEDIA_SIZE) || 64 * 1024 * 1024; // 64MB
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS) || 30000;
+const MAX_MEDIA_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hostnames resolve through this lookup, so a public name pointing at an internal address is refused too
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// IP literals never reach the lookup, so they are checked here (for the URL and every redirect)
+function assertPublicUrl(protocol, hostname) {
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('only http and https URLs are supported');
+  }
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (host.toLowerCase() === 'localhost' || (net.isIP(host) && isPrivateAddress(host))) {
+    throw new Error(`${hostname} is a private address`);
+  }
+}
+
+/**
+ * Download media from a public http(s) URL, bounded by MAX_MEDIA_SIZE and a timeout.
+ * Loopback, private and link-local hosts are refused so the API cannot be used to reach internal services.
+ */
+async function downloadMedia(url) {
+  const parsed = new URL(url);
+  assertPublicUrl(parsed.protocol, parsed.hostname);
+
+  const response = await axios.get(parsed.href, {
+    responseType: 'arraybuffer',
+    timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+    signal: AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT_MS),
+    maxContentLength: MAX_MEDIA_SIZE,
+    maxBodyLength: MAX_MEDIA_SIZE,
+    maxRedirects: MAX_MEDIA_REDIRECTS,
+    httpAgent,
+    httpsAgent,
+    // A proxy would resolve the host itself and skip the address check
+    proxy: false,
+    beforeRedirect: (options) => assertPublicUrl(options.protocol, options.hostname)
+  });
+
+  const data = Buffer.from(response.data);
+  const mimetype = (response.headers['content-type'] || '').split(';')[0].trim() || 'application/octet-stream';
+  const filename = path.basename(decodeURIComponent(parsed.pathname)) || null;
+  return new MessageMedia(mimetype, data.toString('base64'), filename, data.length);
+}
+
+// Size in bytes of a base64 encoded payload
+export function base64Size(data) {
+  if (!data) return 0;
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+// Accepts raw base64 or a data URL (data:image/png;base64,...)
+function parseBase64(input) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(input);
+  if (match) {
+    return { mimetype: match[1] || null, data: match[2].replace(/\s/g, '') };
+  }
+  return { mimetype: null, data: input.replace(/\s/g, '') };
+}
+
+/**
+ * Build a MessageMedia from one of: an uploaded buffer, a base64 string or a URL.
+ * Throws a 400 HttpError when the input is missing or unusable.
+ */
+export async function buildMessageMedia({ buffer, base64, url, mimetype, filename }) {
+  let media;
+
+  if (buffer) {
+    if (!mimetype) throw badRequest('Mimetype is required for uploaded files');
+    media = new MessageMedia(mimetype, buffer.toString('base64'), filename || null, buffer.length);
+  } else if (base64) {
+    const parsed = parseBase64(base64);
+    const type = mimetype || parsed.mimetype;
+    if (!type) throw badRequest('Mimetype is required for base64 media');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(parsed.data)) throw badRequest('Invalid base64 data');
+    media = new MessageMedia(type, parsed.data, filename || null, base64Size(parsed.data));
+  } else if (url) {
+    try {
+      media = await downloadMedia(url);
+    } catch (error) {
+      if (error.message?.startsWith('maxContentLength')) {
+        throw badRequest(`Media exceeds maximum size of ${MAX_MEDIA_SIZE} bytes`);
+      }
+      throw badRequest(`Unable to fetch media from URL: ${error.message}`);
+    }
+    if (mimetype) media.mimetype = mimetype;
+    if (filename) media.filename = filename;
+  } else {
+    throw badRequest('Media is required (file, base64 or url)');
+  }
+
+  if (!media.data) {
+    throw badRequest('Media is empty');
+  }
+  if (media.filesize > MAX_MEDIA_SIZE) {
+    throw badRequest(`Media exceeds maximum size of ${MAX_MEDIA_SIZE} bytes`);
+  }
+
+  return media;
+}
+
+// Message type we expect WhatsApp to assign to the outgoing media
+export function resolveMediaType(mimetype, { sendMediaAsDocument, sendAudioAsVoice } = {}) {
+  if (sendMediaAsDocument) return 'document';
+  const [category] = (mimetype || '').split('/');
+  if (category === 'image') return 'image';
+  if (category === 'video') return 'video';
+  if (category === 'audio') return sendAudioAsVoice ? 'ptt' : 'audio';
+  return 'document';
+}
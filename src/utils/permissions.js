@@ -0,0 +1,25 @@
+// Roles and what they may do beyond reading the devices they can see
+export const ROLES = ['admin', 'operator', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  // Devices themselves (add, delete, pair, restart, general settings) and user accounts
+  admin: ['devices:manage', 'users:manage', 'messages:send', 'webhooks:manage'],
+  // Messaging (sends, schedules, campaigns, groups, contacts, chat modes) and automation
+  // (webhooks and their secrets, auto-replies, flows, business hours, reply guard)
+  operator: ['messages:send', 'webhooks:manage'],
+  viewer: []
+};
+
+export function can(user, permission) {
+  return Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+}
+
+// Admins always see every device; other users may be limited to a list
+export function deviceScope(user) {
+  return user.role === 'admin' ? null : user.devices;
+}
+
+export function canAccessDevice(user, deviceId) {
+  const scope = deviceScope(user);
+  return !scope || scope.includes(deviceId);
+}
@@ -0,0 +1,102 @@
+import { badRequest } from './errors.js';
+
+export const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/^\+/, '');
+
+// E.164 allows at most 15 digits including the country code
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+const ID_PATTERNS = [
+  { type: 'user', pattern: /^\d+@c\.us$/ },
+  { type: 'user', pattern: /^\d+@lid$/ },
+  { type: 'group', pattern: /^\d+(-\d+)?@g\.us$/ },
+  { type: 'broadcast', pattern: /^(status|\d+)@broadcast$/ }
+];
+
+export function isValidCountryCode(code) {
+  return /^\+?[1-9]\d{0,2}$/.test(String(code));
+}
+
+export function deviceCountryCode(device) {
+  return device?.default_country_code || DEFAULT_COUNTRY_CODE;
+}
+
+function checkLength(digits) {
+  if (digits.length < MIN_DIGITS) {
+    return `is too short (${digits.length} digits, minimum ${MIN_DIGITS})`;
+  }
+  if (digits.length > MAX_DIGITS) {
+    return `is too long (${digits.length} digits, E.164 allows at most ${MAX_DIGITS})`;
+  }
+  return null;
+}
+
+/**
+ * Parse a recipient into a WhatsApp chat id.
+ * Full ids (`@c.us`, `@lid`, `@g.us`, `@broadcast`) are validated as-is; phone numbers are
+ * stripped of formatting, `+`/`00` prefixes are treated as international and numbers with a
+ * leading trunk `0` get the default country code.
+ * Returns `{ id, type, number }` or `{ error }` with the reason the input was rejected.
+ */
+export function parseChatId(input, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  const value = String(input ?? '').trim();
+  if (!value) {
+    return { error: 'Recipient is empty' };
+  }
+
+  if (value.includes('@')) {
+    const match = ID_PATTERNS.find(({ pattern }) => pattern.test(value));
+    if (!match) {
+      return { error: `"${value}" is not a valid WhatsApp id (expected @c.us, @g.us or @broadcast)` };
+    }
+    if (value.endsWith('@c.us')) {
+      const lengthError = checkLength(value.split('@')[0]);
+      if (lengthError) {
+        return { error: `"${value}" ${lengthError}` };
+      }
+    }
+    return { id: value, type: match.type, number: match.type === 'user' ? value.split('@')[0] : null };
+  }
+
+  const compact = value.replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(compact)) {
+    return { error: `"${value}" contains invalid characters` };
+  }
+
+  let digits;
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+  } else if (compact.startsWith('0')) {
+    const countryCode = String(defaultCountryCode || '').replace(/^\+/, '');
+    if (!countryCode) {
+      return { error: `"${value}" is a local number but no default country code is configured` };
+    }
+    digits = countryCode + compact.slice(1);
+  } else {
+    digits = compact;
+  }
+
+  if (digits.startsWith('0')) {
+    return { error: `"${value}" has an invalid country code` };
+  }
+  const lengthError = checkLength(digits);
+  if (lengthError) {
+    return { error: `"${value}" ${lengthError}` };
+  }
+
+  return { id: `${digits}@c.us`, type: 'user', number: digits };
+}
+
+// Like parseChatId but throws a 400 HttpError for invalid input
+export function normalizeChatId(input, defaultCountryCode = DEFAULT_COUNTRY_CODE, allowedTypes = null) {
+  const parsed = parseChatId(input, defaultCountryCode);
+  if (parsed.error) {
+    throw badRequest(`Invalid recipient: ${parsed.error}`);
+  }
+  if (allowedTypes && !allowedTypes.includes(parsed.type)) {
+    throw badRequest(`Invalid recipient: "${input}" is a ${parsed.type} id, expected ${allowedTypes.join(' or ')}`);
+  }
+  return parsed.id;
+}
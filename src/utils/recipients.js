@@ -0,0 +1,72 @@
+import { parse } from 'csv-parse/sync';
+import { badRequest } from './errors.js';
+
+const PHONE_COLUMNS = ['phone', 'number', 'phone_number', 'to', 'whatsapp'];
+
+export const MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+
+function parseCsv(text) {
+  try {
+    return parse(text, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+  } catch (error) {
+    throw badRequest(`Invalid CSV: ${error.message}`);
+  }
+}
+
+function parseJson(text) {
+  try {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('expected an array of recipients');
+    }
+    return data;
+  } catch (error) {
+    throw badRequest(`Invalid JSON recipients: ${error.message}`);
+  }
+}
+
+/**
+ * Turn a CSV/JSON upload or an inline array into [{ phone, variables }].
+ * Every column other than the phone column becomes a template variable.
+ */
+export function parseRecipients({ csv, json, records, phoneColumn }) {
+  let rows;
+  if (records) {
+    rows = records;
+  } else if (json) {
+    rows = parseJson(json);
+  } else if (csv) {
+    rows = parseCsv(csv);
+  } else {
+    throw badRequest('Recipients are required (CSV/JSON file, csv text or recipients array)');
+  }
+
+  if (rows.length === 0) {
+    throw badRequest('Recipient list is empty');
+  }
+  if (rows.length > MAX_RECIPIENTS) {
+    throw badRequest(`Recipient list exceeds maximum of ${MAX_RECIPIENTS}`);
+  }
+
+  return rows.map((row, index) => {
+    if (typeof row === 'string' || typeof row === 'number') {
+      return { phone: String(row), variables: {} };
+    }
+    if (!row || typeof row !== 'object') {
+      throw badRequest(`Recipient ${index + 1} is not an object`);
+    }
+
+    const column = phoneColumn || PHONE_COLUMNS.find(name => row[name] !== undefined);
+    if (!column || row[column] === undefined) {
+      throw badRequest(`Recipient ${index + 1} has no phone column (${phoneColumn || PHONE_COLUMNS.join(', ')})`);
+    }
+
+    const { [column]: phone, ...variables } = row;
+    return { phone: String(phone ?? '').trim(), variables: { ...variables, phone: String(phone ?? '').trim() } };
+  });
+}
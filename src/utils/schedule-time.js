@@ -0,0 +1,76 @@
+import { DateTime } from 'luxon';
+import cronParser from 'cron-parser';
+import { badRequest } from './errors.js';
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+export const RECURRENCES = ['none', 'daily', 'weekly', 'cron'];
+
+export function isValidTimezone(timezone) {
+  return DateTime.local().setZone(timezone).isValid;
+}
+
+export function validateCron(expression, timezone = DEFAULT_TIMEZONE) {
+  try {
+    cronParser.parseExpression(expression, { tz: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a send-at value into unix seconds. Numbers are unix seconds (or milliseconds),
+ * ISO strings without an offset are read as local time in the given timezone.
+ */
+export function parseSendAt(value, timezone = DEFAULT_TIMEZONE) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const parsed = DateTime.fromISO(String(value), { zone: timezone });
+  if (!parsed.isValid) {
+    throw badRequest(`Invalid send_at: ${parsed.invalidExplanation || value}`);
+  }
+  return Math.floor(parsed.toSeconds());
+}
+
+/**
+ * Next run strictly after `after` (unix seconds), or null when the schedule is finished.
+ * Daily and weekly recurrences keep the local wall-clock time of send_at across DST changes.
+ */
+export function computeNextRun(schedule, after) {
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+
+  switch (schedule.recurrence) {
+    case 'daily':
+    case 'weekly': {
+      const stepDays = schedule.recurrence === 'daily' ? 1 : 7;
+      const start = DateTime.fromSeconds(schedule.send_at, { zone: timezone });
+      if (schedule.send_at > after) {
+        return schedule.send_at;
+      }
+
+      const elapsedDays = DateTime.fromSeconds(after, { zone: timezone }).diff(start, 'days').days;
+      let steps = Math.max(1, Math.floor(elapsedDays / stepDays));
+      let next = start.plus({ days: steps * stepDays });
+      while (next.toSeconds() <= after) {
+        steps += 1;
+        next = start.plus({ days: steps * stepDays });
+      }
+      return Math.floor(next.toSeconds());
+    }
+
+    case 'cron': {
+      const from = Math.max(after, (schedule.send_at || 0) - 1);
+      const interval = cronParser.parseExpression(schedule.cron_expression, {
+        currentDate: new Date(from * 1000),
+        tz: timezone
+      });
+      return Math.floor(interval.next().getTime() / 1000);
+    }
+
+    default:
+      return schedule.send_at > after ? schedule.send_at : null;
+  }
+}
@@ -0,0 +1,366 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Small mustache-style template engine shared by webhook bodies and campaign messages.
+ *
+ *   {{ path.to.value }}                       nested lookups, array items as `items.0`
+ *   {{ name | default:"there" | upper }}      filters, applied left to right
+ *   {{#if has_media}} ... {{else}} ... {{/if}} conditionals, also {{#unless}}
+ *
+ * JSON templates are escaped by context: inside a JSON string a value is inserted as escaped
+ * text, anywhere else it is written as a JSON value (strings quoted, objects serialized).
+ */
+
+export class TemplateError extends Error {
+  constructor(message, source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'TemplateError';
+    this.position = { line, column, offset };
+  }
+}
+
+const FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  truncate: (value, length = 100, suffix = '...') => {
+    const text = stringify(value);
+    return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+  },
+  json: (value) => JSON.stringify(value ?? null),
+  // Unix seconds, milliseconds or ISO strings; luxon format tokens, e.g. date:"yyyy-MM-dd HH:mm","Asia/Jakarta"
+  date: (value, format, zone) => {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+    const numeric = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : null;
+    let date = numeric !== null
+      ? DateTime.fromMillis(numeric < 1e12 ? numeric * 1000 : numeric)
+      : DateTime.fromISO(String(value));
+    if (zone) {
+      date = date.setZone(zone);
+    }
+    if (!date.isValid) {
+      return '';
+    }
+    return format ? date.toFormat(format) : date.toISO();
+  }
+};
+
+const MAX_CACHED_TEMPLATES = 200;
+const compiled = new Map();
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Prototype segments never resolve, so templates cannot reach inherited members like constructor or toString
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function lookup(variables, path) {
+  return path.reduce((current, key) => (
+    current == null || UNSAFE_KEYS.has(key) || !Object.hasOwn(current, key) ? undefined : current[key]
+  ), variables);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+const PATH_PATTERN = /^[A-Za-z_][\w]*(\.\w+)*$/;
+const ARG_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?))\s*(,|$)/y;
+
+function parseArgs(text, source, offset) {
+  const args = [];
+  ARG_PATTERN.lastIndex = 0;
+  while (ARG_PATTERN.lastIndex < text.length) {
+    const start = ARG_PATTERN.lastIndex;
+    const match = ARG_PATTERN.exec(text);
+    if (!match) {
+      throw new TemplateError(`Invalid filter argument "${text.slice(start).trim()}"`, source, offset);
+    }
+    if (match[3] !== undefined) {
+      args.push(Number(match[3]));
+    } else {
+      args.push((match[1] ?? match[2]).replace(/\\(.)/g, '$1'));
+    }
+    if (!match[4]) break;
+  }
+  return args;
+}
+
+// `path | filter:arg,arg | filter`
+function parseExpression(text, source, offset) {
+  const [pathText, ...filterTexts] = text.split(/\|(?=(?:[^"']|"[^"]*"|'[^']*')*$)/);
+  const path = pathText.trim();
+  if (!PATH_PATTERN.test(path)) {
+    throw new TemplateError(`Invalid variable name "${path}"`, source, offset);
+  }
+
+  const filters = filterTexts.map(filterText => {
+    const separator = filterText.indexOf(':');
+    const name = (separator === -1 ? filterText : filterText.slice(0, separator)).trim();
+    if (!FILTERS[name]) {
+      throw new TemplateError(`Unknown filter "${name}" (available: ${Object.keys(FILTERS).join(', ')})`, source, offset);
+    }
+    const args = separator === -1 ? [] : parseArgs(filterText.slice(separator + 1), source, offset);
+    return { name, args };
+  });
+
+  return { path: path.split('.'), filters };
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ * Throws a TemplateError with line/column for unbalanced tags or bad expressions.
+ */
+export function compileTemplate(source) {
+  const cached = compiled.get(source);
+  if (cached) {
+    return cached;
+  }
+
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      current.push({ type: 'text', value: source.slice(index), offset: index });
+      break;
+    }
+    if (open > index) {
+      current.push({ type: 'text', value: source.slice(index, open), offset: index });
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateError('Unclosed "{{"', source, open);
+    }
+    const tag = source.slice(open + 2, close).trim();
+    index = close + 2;
+
+    const block = /^#(if|unless)\s+(.+)$/.exec(tag);
+    if (block) {
+      const path = block[2].trim();
+      if (!PATH_PATTERN.test(path)) {
+        throw new TemplateError(`Invalid condition "${path}"`, source, open);
+      }
+      const node = { type: block[1], path: path.split('.'), children: [], alternate: null, offset: open };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1];
+      if (!node || node.alternate) {
+        throw new TemplateError('Unexpected {{else}}', source, open);
+      }
+      node.alternate = [];
+      current = node.alternate;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const node = stack.pop();
+      if (!node || `/${node.type}` !== tag) {
+        throw new TemplateError(`Unexpected {{${tag}}}`, source, open);
+      }
+      const parent = stack[stack.length - 1];
+      current = parent ? (parent.alternate || parent.children) : root.children;
+    } else {
+      current.push({ type: 'variable', ...parseExpression(tag, source, open), offset: open });
+    }
+  }
+
+  if (stack.length > 0) {
+    const node = stack[stack.length - 1];
+    throw new TemplateError(`Missing {{/${node.type}}}`, source, node.offset);
+  }
+
+  if (compiled.size >= MAX_CACHED_TEMPLATES) {
+    compiled.clear();
+  }
+  compiled.set(source, root.children);
+  return root.children;
+}
+
+function evaluate(node, variables) {
+  return node.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, ...filter.args),
+    lookup(variables, node.path)
+  );
+}
+
+// Walks the tree; `emit(text, node, isValue)` receives literal text and rendered values in order
+function walk(nodes, variables, emit) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      emit(node.value, node, false);
+    } else if (node.type === 'variable') {
+      emit(evaluate(node, variables), node, true);
+    } else {
+      const condition = isTruthy(lookup(variables, node.path));
+      const branch = (node.type === 'if' ? condition : !condition) ? node.children : node.alternate;
+      if (branch) {
+        walk(branch, variables, emit);
+      }
+    }
+  }
+}
+
+// Render a plain-text template; missing variables render as empty strings
+export function renderText(template, variables) {
+  let output = '';
+  walk(compileTemplate(template), variables, (value, node, isValue) => {
+    output += isValue ? stringify(value) : value;
+  });
+  return output;
+}
+
+/**
+ * Render a JSON template and parse it. Values are escaped for where they appear, so message
+ * text with quotes, backslashes or newlines can't break the payload. Invalid JSON is reported
+ * as a TemplateError pointing at the template position that produced it.
+ */
+export function renderJsonTemplate(template, variables) {
+  let output = '';
+  let inString = false;
+  const segments = [];
+
+  walk(compileTemplate(template), variables, (value, node, isValue) => {
+    segments.push({ start: output.length, node, isValue });
+
+    if (isValue) {
+      output += inString
+        ? JSON.stringify(stringify(value)).slice(1, -1)
+        : JSON.stringify(value === undefined ? null : value);
+      return;
+    }
+
+    // Track whether the literal text leaves us inside a JSON string
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && inString) {
+        i++;
+      } else if (value[i] === '"') {
+        inString = !inString;
+      }
+    }
+    output += value;
+  });
+
+  try {
+    return JSON.parse(output);
+  } catch (error) {
+    const syntax = findJsonError(output) || { offset: output.length, message: error.message };
+    const segment = [...segments].reverse().find(candidate => candidate.start <= syntax.offset);
+    const offset = !segment
+      ? 0
+      : segment.isValue ? segment.node.offset : segment.node.offset + (syntax.offset - segment.start);
+    throw new TemplateError(`Invalid JSON: ${syntax.message}`, template, Math.min(offset, template.length));
+  }
+}
+
+// Locate the first syntax error in a JSON text; JSON.parse doesn't always report a position
+function findJsonError(text) {
+  let i = 0;
+  const fail = (message) => {
+    throw { offset: i, message };
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  const expect = (char, message) => {
+    skipWhitespace();
+    if (text[i] !== char) fail(message);
+    i++;
+  };
+
+  function string() {
+    i++;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === '"') {
+        i++;
+        return;
+      }
+      if (char === '\\') {
+        if (!'"\\/bfnrtu'.includes(text[i + 1])) fail('Invalid escape sequence in string');
+        i += 2;
+        continue;
+      }
+      if (char < ' ') fail('Line break or control character inside a string');
+      i++;
+    }
+    fail('Unterminated string');
+  }
+
+  function value() {
+    skipWhitespace();
+    const char = text[i];
+    if (char === '{') {
+      i++;
+      skipWhitespace();
+      if (text[i] === '}') {
+        i++;
+        return;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"') fail('Expected a double-quoted property name');
+        string();
+        expect(':', "Expected ':' after property name");
+        value();
+        skipWhitespace();
+        if (text[i] === '}') {
+          i++;
+          return;
+        }
+        expect(',', "Expected ',' or '}'");
+      }
+    }
+    if (char === '[') {
+      i++;
+      skipWhitespace();
+      if (text[i] === ']') {
+        i++;
+        return;
+      }
+      for (;;) {
+        value();
+        skipWhitespace();
+        if (text[i] === ']') {
+          i++;
+          return;
+        }
+        expect(',', "Expected ',' or ']'");
+      }
+    }
+    if (char === '"') return string();
+    for (const word of ['true', 'false', 'null']) {
+      if (text.startsWith(word, i)) {
+        i += word.length;
+        return;
+      }
+    }
+    const number = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+    number.lastIndex = i;
+    if (number.test(text)) {
+      i = number.lastIndex;
+      return;
+    }
+    fail(char === undefined ? 'Unexpected end of template' : `Unexpected character '${char}'`);
+  }
+
+  try {
+    value();
+    skipWhitespace();
+    if (i < text.length) fail('Unexpected content after the JSON value');
+    return null;
+  } catch (error) {
+    if (error instanceof Error) throw error;
+    return error;
+  }
+}
@@ -0,0 +1,40 @@
+import { badRequest } from './errors.js';
+import { parseBodyPattern } from './webhook-filters.js';
+
+export const TEXT_MATCH_TYPES = ['exact', 'contains', 'regex'];
+const MAX_PATTERN_LENGTH = 500;
+
+// Throws a 400 naming `field` when the pattern can't be used for the match type
+export function validateTextPattern(matchType, pattern, field = 'pattern') {
+  if (typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH) {
+    throw badRequest(`${field} is required for ${matchType} matching (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+  if (matchType === 'regex') {
+    try {
+      parseBodyPattern(pattern);
+    } catch (error) {
+      throw badRequest(`Invalid regex in ${field}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Match message text against a pattern. Comparisons ignore case and surrounding whitespace unless
+ * `caseSensitive` is set; regex patterns may be given as /pattern/flags.
+ */
+export function matchesText(matchType, pattern, text, caseSensitive = false) {
+  const body = (text || '').trim();
+
+  switch (matchType) {
+    case 'exact':
+      return caseSensitive ? body === pattern.trim() : body.toLowerCase() === pattern.trim().toLowerCase();
+    case 'contains':
+      return caseSensitive ? body.includes(pattern) : body.toLowerCase().includes(pattern.toLowerCase());
+    case 'regex': {
+      const regex = parseBodyPattern(pattern);
+      return (caseSensitive || regex.flags.includes('i') ? regex : new RegExp(regex.source, regex.flags + 'i')).test(text || '');
+    }
+    default:
+      return false;
+  }
+}
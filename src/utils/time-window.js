@@ -0,0 +1,58 @@
+import { DateTime } from 'luxon';
+import { badRequest } from './errors.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from './schedule-time.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+const minutesOf = (time) => {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Validate a weekly time window `{ days, start, end, timezone }`. Days are ISO weekdays
+ * (1 = Monday ... 7 = Sunday), times are HH:mm local to the timezone. A window whose end is
+ * before its start runs past midnight. `field` names the window in error messages.
+ */
+export function normalizeTimeWindow(window, field = 'time_window') {
+  if (window === null || typeof window !== 'object' || Array.isArray(window)) {
+    throw badRequest(`${field} must be an object`);
+  }
+
+  const days = window.days ?? WEEKDAYS;
+  if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+    throw badRequest(`${field}.days must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)`);
+  }
+  for (const key of ['start', 'end']) {
+    if (typeof window[key] !== 'string' || !TIME_OF_DAY.test(window[key])) {
+      throw badRequest(`${field}.${key} must be a time in HH:mm format`);
+    }
+  }
+  if (window.start === window.end) {
+    throw badRequest(`${field}.start and ${field}.end must differ`);
+  }
+  const timezone = window.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw badRequest(`${field}.timezone is not a valid timezone`);
+  }
+
+  return { days: [...new Set(days)].sort(), start: window.start, end: window.end, timezone };
+}
+
+// Whether `at` (a luxon DateTime, default now) falls inside the window
+export function isWithinTimeWindow(window, at = DateTime.now()) {
+  const local = at.setZone(window.timezone || DEFAULT_TIMEZONE);
+  const minute = local.hour * 60 + local.minute;
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+
+  if (start < end) {
+    return window.days.includes(local.weekday) && minute >= start && minute < end;
+  }
+  // Overnight: the evening part belongs to today, the early-morning part to yesterday's window
+  if (minute >= start) {
+    return window.days.includes(local.weekday);
+  }
+  return minute < end && window.days.includes(local.minus({ days: 1 }).weekday);
+}
@@ -0,0 +1,30 @@
+// Device and chat events a webhook can subscribe to (incoming messages are always forwarded)
+export const WEBHOOK_EVENTS = [
+  'qr',
+  'ready',
+  'authenticated',
+  'auth_failure',
+  'disconnected',
+  'group_join',
+  'group_leave',
+  'message_ack',
+  'message_outgoing',
+  'message_revoke',
+  'call',
+  'flow_handoff',
+  'reply_limit',
+  'chat_mode'
+];
+
+export function isSubscribed(device, event) {
+  return Boolean(device?.webhook_enabled && device.webhook_url && device.webhook_events?.includes(event));
+}
+
+export function buildEnvelope(deviceId, event, data = {}) {
+  return {
+    event,
+    device_id: deviceId,
+    timestamp: Math.floor(Date.now() / 1000),
+    data
+  };
+}
@@ -0,0 +1,106 @@
+import { badRequest } from './errors.js';
+import { normalizeChatId } from './phone.js';
+
+export const CHAT_TYPES = ['private', 'group', 'broadcast'];
+const FILTER_KEYS = ['chat_types', 'senders_allow', 'senders_deny', 'message_types', 'body_pattern'];
+const MAX_PATTERN_LENGTH = 500;
+
+export function chatTypeOf(chatId) {
+  if (chatId.endsWith('@g.us')) return 'group';
+  if (chatId.endsWith('@broadcast')) return 'broadcast';
+  return 'private';
+}
+
+// Accepts a bare pattern or the /pattern/flags form
+export function parseBodyPattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+function stringList(filters, key) {
+  const value = filters[key];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw badRequest(`filters.${key} must be an array of non-empty strings`);
+  }
+  return [...new Set(value.map(item => item.trim()))];
+}
+
+/**
+ * Validate filter rules from the API. Sender lists are normalized to chat ids with the
+ * device's country code so they compare directly against incoming message ids.
+ * Throws a 400 HttpError describing the first invalid rule.
+ */
+export function normalizeFilters(filters, countryCode) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw badRequest('filters must be an object');
+  }
+
+  const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown filter(s): ${unknown.join(', ')}. Allowed: ${FILTER_KEYS.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  if (filters.chat_types !== undefined) {
+    const types = stringList(filters, 'chat_types');
+    const invalid = types.filter(type => !CHAT_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw badRequest(`filters.chat_types must only contain: ${CHAT_TYPES.join(', ')}`);
+    }
+    normalized.chat_types = types;
+  }
+
+  for (const key of ['senders_allow', 'senders_deny']) {
+    if (filters[key] !== undefined) {
+      normalized[key] = [...new Set(stringList(filters, key).map(sender => normalizeChatId(sender, countryCode, ['user', 'group'])))];
+    }
+  }
+
+  if (filters.message_types !== undefined) {
+    normalized.message_types = stringList(filters, 'message_types').map(type => type.toLowerCase());
+  }
+
+  if (filters.body_pattern !== undefined && filters.body_pattern !== null && filters.body_pattern !== '') {
+    if (typeof filters.body_pattern !== 'string' || filters.body_pattern.length > MAX_PATTERN_LENGTH) {
+      throw badRequest(`filters.body_pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+      parseBodyPattern(filters.body_pattern);
+    } catch (error) {
+      throw badRequest(`Invalid filters.body_pattern: ${error.message}`);
+    }
+    normalized.body_pattern = filters.body_pattern;
+  }
+
+  return normalized;
+}
+
+/**
+ * A message passes when it satisfies every configured rule; missing or empty rules match everything.
+ * Sender lists match either the chat id or, in groups, the participant who sent the message.
+ * `message_types` may contain `media` to match any message with an attachment.
+ */
+export function matchesFilters(filters = {}, { chatId, senderId, type, body, hasMedia }) {
+  const ids = [chatId, senderId].filter(Boolean);
+
+  if (filters.chat_types?.length && !filters.chat_types.includes(chatTypeOf(chatId))) {
+    return false;
+  }
+  if (filters.senders_deny?.some(id => ids.includes(id))) {
+    return false;
+  }
+  if (filters.senders_allow?.length && !filters.senders_allow.some(id => ids.includes(id))) {
+    return false;
+  }
+  if (filters.message_types?.length) {
+    const typeMatches = filters.message_types.includes(type) || (hasMedia && filters.message_types.includes('media'));
+    if (!typeMatches) {
+      return false;
+    }
+  }
+  if (filters.body_pattern && !parseBodyPattern(filters.body_pattern).test(body || '')) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,182 @@
+import { badRequest } from './errors.js';
+import { signWebhook, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhook-signature.js';
+
+export const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH'];
+export const WEBHOOK_CONTENT_TYPES = ['json', 'form'];
+export const AUTH_TYPES = ['none', 'bearer', 'basic'];
+export const DEFAULT_WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+export const MIN_WEBHOOK_TIMEOUT_MS = 1000;
+export const MAX_WEBHOOK_TIMEOUT_MS = 120000;
+const MAX_CUSTOM_HEADERS = 20;
+
+// Shown instead of secret values; sending it back on update keeps the stored value
+export const SECRET_MASK = '********';
+
+const HEADER_NAME = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host', 'user-agent', SIGNATURE_HEADER.toLowerCase(), TIMESTAMP_HEADER.toLowerCase()];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const keep = (value, previous) => (value === SECRET_MASK ? previous : value);
+
+/**
+ * Validate webhook auth settings. Masked values keep what `previous` had stored.
+ * Returns null for no authentication.
+ */
+export function normalizeAuth(auth, previous = null) {
+  if (auth === null || auth === undefined || auth.type === 'none') {
+    return null;
+  }
+  if (!isObject(auth) || !AUTH_TYPES.includes(auth.type)) {
+    throw badRequest(`auth.type must be one of: ${AUTH_TYPES.join(', ')}`);
+  }
+
+  if (auth.type === 'bearer') {
+    const token = keep(auth.token, previous?.token);
+    if (typeof token !== 'string' || !token.trim()) {
+      throw badRequest('auth.token is required for bearer auth');
+    }
+    return { type: 'bearer', token: token.trim() };
+  }
+
+  const password = keep(auth.password, previous?.password);
+  if (typeof auth.username !== 'string' || !auth.username || typeof password !== 'string') {
+    throw badRequest('auth.username and auth.password are required for basic auth');
+  }
+  if (auth.username.includes(':')) {
+    throw badRequest('auth.username cannot contain ":"');
+  }
+  return { type: 'basic', username: auth.username, password };
+}
+
+/**
+ * Validate custom headers given as `[{ name, value, secret }]`. Secret values that come back
+ * masked keep the stored value of the header with the same name.
+ */
+export function normalizeHeaders(headers, previous = []) {
+  if (headers === null || headers === undefined) {
+    return [];
+  }
+  if (!Array.isArray(headers) || headers.length > MAX_CUSTOM_HEADERS) {
+    throw badRequest(`headers must be an array of at most ${MAX_CUSTOM_HEADERS} { name, value, secret } entries`);
+  }
+
+  const seen = new Set();
+  return headers.map((header, index) => {
+    if (!isObject(header) || typeof header.name !== 'string' || !HEADER_NAME.test(header.name)) {
+      throw badRequest(`headers[${index}].name must be a valid header name`);
+    }
+    const name = header.name.toLowerCase();
+    if (RESERVED_HEADERS.includes(name)) {
+      throw badRequest(`headers[${index}]: ${header.name} is set by the server and can't be overridden`);
+    }
+    if (seen.has(name)) {
+      throw badRequest(`headers[${index}]: duplicate header ${header.name}`);
+    }
+    seen.add(name);
+
+    const stored = previous.find(candidate => candidate.name.toLowerCase() === name);
+    const value = keep(header.value, stored?.value);
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      throw badRequest(`headers[${index}].value must be a single-line string`);
+    }
+    return { name: header.name, value, secret: Boolean(header.secret) };
+  });
+}
+
+export function maskAuth(auth) {
+  if (!auth) {
+    return { type: 'none' };
+  }
+  return auth.type === 'bearer'
+    ? { type: 'bearer', token: SECRET_MASK }
+    : { type: 'basic', username: auth.username, password: SECRET_MASK };
+}
+
+export function maskHeaders(headers = []) {
+  return headers.map(header => (header.secret ? { ...header, value: SECRET_MASK } : header));
+}
+
+// The device's own webhook in the same shape as a `webhooks` row
+export function deviceWebhookTarget(device) {
+  return {
+    id: null,
+    name: 'primary',
+    url: device.webhook_url,
+    body_template: device.webhook_body_template,
+    response_enabled: device.webhook_response_enabled,
+    response_path: device.webhook_response_path,
+    method: device.webhook_method,
+    content_type: device.webhook_content_type,
+    timeout_ms: device.webhook_timeout_ms,
+    auth: device.webhook_auth,
+    headers: device.webhook_headers
+  };
+}
+
+// application/x-www-form-urlencoded with PHP/Rails style nesting: user[name]=x&items[0]=y
+export function encodeForm(payload) {
+  const params = new URLSearchParams();
+  const append = (key, value) => {
+    if (value === null || value === undefined) {
+      params.append(key, '');
+    } else if (typeof value === 'object') {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        append(`${key}[${childKey}]`, childValue);
+      }
+    } else {
+      params.append(key, String(value));
+    }
+  };
+
+  if (isObject(payload)) {
+    for (const [key, value] of Object.entries(payload)) {
+      append(key, value);
+    }
+  } else {
+    append('payload', payload);
+  }
+  return params.toString();
+}
+
+// Request headers as stored in the delivery history, with credentials and secret values masked
+export function redactHeaders(target, headers) {
+  const secretNames = (target.headers || []).filter(header => header.secret).map(header => header.name);
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => (
+    name === 'Authorization' || secretNames.includes(name) ? [name, SECRET_MASK] : [name, value]
+  )));
+}
+
+/**
+ * Build the axios request for a delivery target. The body is serialized once and signed
+ * with the device secret; custom headers can't replace the content type or signature headers.
+ */
+export function buildWebhookRequest(target, secret, payload) {
+  const isForm = target.content_type === 'form';
+  const body = isForm ? encodeForm(payload) : JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {};
+  for (const header of target.headers || []) {
+    headers[header.name] = header.value;
+  }
+  if (target.auth?.type === 'bearer') {
+    headers.Authorization = `Bearer ${target.auth.token}`;
+  } else if (target.auth?.type === 'basic') {
+    headers.Authorization = 'Basic ' + Buffer.from(`${target.auth.username}:${target.auth.password}`).toString('base64');
+  }
+
+  Object.assign(headers, {
+    'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json',
+    'User-Agent': 'WhatsApp-Manager/1.0',
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body)
+  });
+
+  return {
+    method: target.method || 'POST',
+    url: target.url,
+    data: body,
+    headers,
+    timeout: target.timeout_ms || DEFAULT_WEBHOOK_TIMEOUT_MS
+  };
+}
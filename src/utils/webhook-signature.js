@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<raw body>`. Receivers recompute it with the device
+ * secret and reject requests whose timestamp is too old, so captured calls can't be replayed.
+ */
+export function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
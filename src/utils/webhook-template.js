@@ -0,0 +1,65 @@
+import { renderJsonTemplate, TemplateError } from './template.js';
+import { badRequest } from './errors.js';
+
+// Variables available to webhook body templates for an incoming message
+export function messageVariables(device, msg, media = null) {
+  const senderName = msg._data?.notifyName || msg.from.split('@')[0];
+
+  return {
+    device_id: device.id,
+    device_name: device.name,
+    device_phone: device.phone_number || '',
+    message_id: msg.id._serialized,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    from_name: senderName,
+    message: msg.body || '',
+    message_type: msg.type,
+    timestamp: msg.timestamp,
+    is_group: msg.from.includes('@g.us'),
+    chat_name: senderName,
+    has_media: msg.hasMedia || false,
+    media_id: media?.id || '',
+    media_url: media?.url || '',
+    media_base64: media?.base64 || '',
+    media_mimetype: media?.mimetype || '',
+    media_filename: media?.filename || '',
+    media_size: media?.size || 0,
+    media_sha256: media?.sha256 || '',
+    is_forwarded: msg.isForwarded || false,
+    is_status: msg.isStatus || false,
+    broadcast: msg.broadcast || false,
+    // Nested forms of the same data, e.g. {{ media.url }} or {{ device.name }}
+    media,
+    device: { id: device.id, name: device.name, phone: device.phone_number || '' }
+  };
+}
+
+// A made-up incoming message, used by the test-webhook route and to validate templates on save
+export function sampleMessageVariables(device) {
+  const msg = {
+    id: { _serialized: 'test-msg-' + Date.now() },
+    from: '628987654321@c.us',
+    to: device.phone_number || '628123456789@c.us',
+    body: 'This is a test message from WhatsApp Manager',
+    type: 'chat',
+    timestamp: Math.floor(Date.now() / 1000),
+    hasMedia: false,
+    _data: { notifyName: 'Test User' }
+  };
+
+  return messageVariables({ ...device, phone_number: device.phone_number || '628123456789' }, msg);
+}
+
+// Render a body template against the sample message; throws a 400 with the error position
+export function validateWebhookTemplate(template, device) {
+  try {
+    return renderJsonTemplate(template, sampleMessageVariables(device));
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw badRequest(`Invalid body template: ${error.message}`, { position: error.position });
+    }
+    throw error;
+  }
+}